@@ -0,0 +1,654 @@
+/**
+ * adaptive-player.js - Adaptive HLS/DASH playback for Reddit-hosted videos
+ *
+ * Reddit listings include an HLS and a DASH manifest for every v.redd.it
+ * video. Browsers with native HLS (Safari) play the HLS manifest directly.
+ * Elsewhere the DASH manifest is played through Media Source Extensions:
+ * video and audio are appended to one MediaSource, so they share a timeline,
+ * and the video bitrate adapts to measured throughput.
+ *
+ * Callers fall back to the progressive MP4 (+ separate audio) path when
+ * neither is available or the adaptive player gives up.
+ */
+
+// Configuration
+const BUFFER_AHEAD = 30; // Seconds to keep buffered ahead of the playhead
+const BUFFER_BEHIND = 30; // Seconds kept behind the playhead before evicting
+const INITIAL_BANDWIDTH = 1500000; // Assumed bits/s before the first measurement
+const BANDWIDTH_SAFETY = 0.7; // Only use this share of the measured throughput
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+/**
+ * Adaptive sources for a video
+ * @typedef {Object} AdaptiveSources
+ * @property {string} [hlsUrl] - HLS master playlist
+ * @property {string} [dashUrl] - DASH manifest (MPD)
+ */
+
+/**
+ * Adaptive player handle
+ * @typedef {Object} AdaptivePlayer
+ * @property {string} type - 'hls' or 'dash'
+ * @property {function(): void} destroy - Stop loading and release resources
+ */
+
+/**
+ * Check whether the browser plays HLS natively
+ *
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean} - Native HLS support
+ */
+function supportsNativeHls(video) {
+    return typeof video.canPlayType === 'function' && video.canPlayType(HLS_MIME_TYPE) !== '';
+}
+
+/**
+ * Check whether Media Source Extensions are available
+ *
+ * @returns {boolean} - MSE support
+ */
+function supportsMediaSource() {
+    return typeof window.MediaSource === 'function' &&
+        typeof window.MediaSource.isTypeSupported === 'function';
+}
+
+/**
+ * Check whether adaptive playback can be attempted for a video
+ *
+ * @param {HTMLVideoElement} video - Video element
+ * @param {AdaptiveSources} sources - Manifest URLs
+ * @returns {boolean} - Whether createAdaptivePlayer will return a player
+ */
+function canPlayAdaptive(video, sources) {
+    if (!sources) return false;
+    return Boolean((sources.hlsUrl && supportsNativeHls(video)) || (sources.dashUrl && supportsMediaSource()));
+}
+
+/**
+ * Attach adaptive playback to a video element
+ *
+ * The source is attached synchronously, so `video.play()` can be called
+ * straight away. If DASH playback fails later, `onFallback` is called once
+ * with the playback position and the player tears itself down.
+ *
+ * @param {HTMLVideoElement} video - Video element
+ * @param {AdaptiveSources} sources - Manifest URLs
+ * @param {Object} options - Player options
+ * @param {function(number, Error): void} options.onFallback - Called when adaptive playback fails
+ * @returns {AdaptivePlayer|null} - Player, or null if adaptive playback isn't possible
+ */
+function createAdaptivePlayer(video, sources, { onFallback = () => {} } = {}) {
+    if (!sources) return null;
+
+    if (sources.hlsUrl && supportsNativeHls(video)) {
+        return createHlsPlayer(video, sources.hlsUrl, onFallback);
+    }
+
+    if (sources.dashUrl && supportsMediaSource()) {
+        return createDashPlayer(video, sources.dashUrl, onFallback);
+    }
+
+    return null;
+}
+
+/**
+ * Play an HLS manifest with the browser's own player
+ *
+ * @param {HTMLVideoElement} video - Video element
+ * @param {string} hlsUrl - HLS master playlist
+ * @param {function(number, Error): void} onFallback - Failure callback
+ * @returns {AdaptivePlayer} - Player
+ */
+function createHlsPlayer(video, hlsUrl, onFallback) {
+    let destroyed = false;
+
+    const onError = () => {
+        if (destroyed) return;
+        destroy();
+        onFallback(video.currentTime || 0, new Error('HLS playback failed'));
+    };
+
+    function destroy() {
+        destroyed = true;
+        video.removeEventListener('error', onError);
+    }
+
+    video.addEventListener('error', onError);
+    video.src = hlsUrl;
+
+    return { type: 'hls', destroy };
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. "PT1M4.5S")
+ *
+ * @param {string} value - Duration string
+ * @returns {number} - Seconds (NaN if unparseable)
+ */
+function parseDuration(value) {
+    const match = /^P(?:\d+D)?T?(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?$/.exec(value || '');
+    if (!match) return NaN;
+
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Parse a byte range attribute ("start-end")
+ *
+ * @param {string} value - Range attribute
+ * @returns {Object|null} - { start, end } or null
+ */
+function parseRange(value) {
+    const match = /^(\d+)-(\d+)$/.exec(value || '');
+    return match ? { start: Number(match[1]), end: Number(match[2]) } : null;
+}
+
+/**
+ * Read an attribute from an element or, failing that, its parent adaptation set
+ *
+ * @param {Element} element - Representation element
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Attribute value
+ */
+function inheritedAttribute(element, name) {
+    return element.getAttribute(name) || element.parentNode.getAttribute(name);
+}
+
+/**
+ * Parse a DASH manifest into video and audio representations
+ *
+ * Only on-demand profiles with one file per representation (SegmentBase
+ * with a sidx index, or no segment info at all) are supported - that is
+ * what v.redd.it serves.
+ *
+ * @param {string} text - MPD XML
+ * @param {string} manifestUrl - URL the manifest was loaded from
+ * @returns {Object} - { duration, video: Array, audio: Array }
+ */
+function parseManifest(text, manifestUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.getElementsByTagName('MPD')[0];
+
+    if (!mpd || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid DASH manifest');
+    }
+
+    const result = {
+        duration: parseDuration(mpd.getAttribute('mediaPresentationDuration')),
+        video: [],
+        audio: []
+    };
+
+    Array.from(doc.getElementsByTagName('Representation')).forEach(rep => {
+        const mimeType = inheritedAttribute(rep, 'mimeType') || '';
+        const contentType = inheritedAttribute(rep, 'contentType') || mimeType.split('/')[0];
+        const kind = contentType === 'audio' ? 'audio' : contentType === 'video' ? 'video' : null;
+        const baseUrlElement = rep.getElementsByTagName('BaseURL')[0];
+
+        if (!kind || !baseUrlElement) return;
+
+        const segmentBase = rep.getElementsByTagName('SegmentBase')[0];
+        const initialization = segmentBase && segmentBase.getElementsByTagName('Initialization')[0];
+        const indexRange = segmentBase ? parseRange(segmentBase.getAttribute('indexRange')) : null;
+
+        result[kind].push({
+            id: rep.getAttribute('id') || baseUrlElement.textContent.trim(),
+            url: new URL(baseUrlElement.textContent.trim(), manifestUrl).href,
+            mimeType,
+            codecs: inheritedAttribute(rep, 'codecs') || '',
+            bandwidth: Number(rep.getAttribute('bandwidth')) || 0,
+            height: Number(rep.getAttribute('height')) || 0,
+            initRange: initialization ?
+                parseRange(initialization.getAttribute('range')) :
+                (indexRange ? { start: 0, end: indexRange.start - 1 } : null),
+            indexRange,
+            segments: null
+        });
+    });
+
+    // Lowest bitrate first makes ABR selection a simple scan
+    result.video.sort((a, b) => a.bandwidth - b.bandwidth);
+    result.audio.sort((a, b) => a.bandwidth - b.bandwidth);
+
+    return result;
+}
+
+/**
+ * Parse a sidx box into segment byte ranges and times
+ *
+ * @param {ArrayBuffer} buffer - Bytes of the index range
+ * @param {number} indexStart - File offset the buffer starts at
+ * @returns {Array<Object>} - Segments { start, end, range: { start, end } }
+ */
+function parseSidx(buffer, indexStart) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    // Skip any boxes before the sidx
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+
+        if (type === 'sidx') break;
+        if (size < 8) throw new Error('Invalid segment index');
+        offset += size;
+    }
+
+    if (offset + 8 > view.byteLength) {
+        throw new Error('Segment index not found');
+    }
+
+    const boxStart = offset;
+    const boxSize = view.getUint32(offset);
+    const version = view.getUint8(offset + 8);
+    offset += 12; // size, type, version and flags
+    offset += 4; // reference_ID
+    const timescale = view.getUint32(offset);
+    offset += 4;
+
+    let earliestTime;
+    let firstOffset;
+    if (version === 0) {
+        earliestTime = view.getUint32(offset);
+        firstOffset = view.getUint32(offset + 4);
+        offset += 8;
+    } else {
+        earliestTime = view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+        firstOffset = view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+        offset += 16;
+    }
+
+    offset += 2; // reserved
+    const referenceCount = view.getUint16(offset);
+    offset += 2;
+
+    const segments = [];
+    let byteStart = indexStart + boxStart + boxSize + firstOffset;
+    let time = earliestTime / timescale;
+
+    for (let i = 0; i < referenceCount; i++) {
+        const referencedSize = view.getUint32(offset) & 0x7fffffff;
+        const duration = view.getUint32(offset + 4) / timescale;
+        offset += 12;
+
+        segments.push({
+            start: time,
+            end: time + duration,
+            range: { start: byteStart, end: byteStart + referencedSize - 1 }
+        });
+
+        byteStart += referencedSize;
+        time += duration;
+    }
+
+    return segments;
+}
+
+/**
+ * Fetch a URL, optionally a byte range of it
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object|null} range - { start, end } byte range
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<ArrayBuffer>} - Response body
+ */
+async function fetchBytes(url, range, signal) {
+    const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+    const response = await fetch(url, { headers, signal });
+
+    if (!response.ok) {
+        throw new Error(`Media request failed: ${response.status}`);
+    }
+
+    return response.arrayBuffer();
+}
+
+/**
+ * Play a DASH manifest through Media Source Extensions
+ *
+ * @param {HTMLVideoElement} video - Video element
+ * @param {string} dashUrl - DASH manifest URL
+ * @param {function(number, Error): void} onFallback - Failure callback
+ * @returns {AdaptivePlayer} - Player
+ */
+function createDashPlayer(video, dashUrl, onFallback) {
+    const mediaSource = new MediaSource();
+    const objectUrl = URL.createObjectURL(mediaSource);
+    const controller = new AbortController();
+    const tracks = [];
+    let manifest = null;
+    let bandwidthEstimate = INITIAL_BANDWIDTH;
+    let destroyed = false;
+
+    const mimeFor = rep => `${rep.mimeType}; codecs="${rep.codecs}"`;
+
+    /**
+     * Tear down and hand playback over to the caller's fallback
+     *
+     * @param {Error} error - What went wrong
+     */
+    function fail(error) {
+        if (destroyed) return;
+        console.warn('Adaptive playback failed, falling back to MP4:', error);
+
+        const position = video.currentTime || 0;
+        destroy();
+        onFallback(position, error);
+    }
+
+    /**
+     * Pick the video representation the measured bandwidth can sustain
+     *
+     * @param {Array} representations - Representations sorted by bandwidth
+     * @returns {Object} - Chosen representation
+     */
+    function chooseRepresentation(representations) {
+        // No point fetching more pixels than the element can show
+        const maxHeight = Math.max(video.clientHeight || 0, 360) * (window.devicePixelRatio || 1);
+        const budget = bandwidthEstimate * BANDWIDTH_SAFETY;
+
+        let chosen = representations[0];
+        representations.forEach(rep => {
+            if (rep.bandwidth <= budget && (!rep.height || rep.height <= maxHeight)) {
+                chosen = rep;
+            }
+        });
+        return chosen;
+    }
+
+    /**
+     * Load (once) the segment list of a representation
+     *
+     * @param {Object} rep - Representation
+     * @returns {Promise<Array>} - Segments
+     */
+    async function loadSegments(rep) {
+        if (rep.segments) return rep.segments;
+
+        if (rep.indexRange) {
+            const index = await fetchBytes(rep.url, rep.indexRange, controller.signal);
+            rep.segments = parseSidx(index, rep.indexRange.start);
+        } else {
+            // No index - the whole file is one segment (init included)
+            rep.segments = [{ start: 0, end: manifest.duration || Infinity, range: null }];
+        }
+
+        return rep.segments;
+    }
+
+    /**
+     * Append data to a track's SourceBuffer, evicting old data if it's full
+     *
+     * @param {Object} track - Track state
+     * @param {ArrayBuffer} data - Media data
+     * @returns {Promise<void>}
+     */
+    function appendBuffer(track, data) {
+        return new Promise((resolve, reject) => {
+            const buffer = track.sourceBuffer;
+
+            const onDone = () => {
+                buffer.removeEventListener('updateend', onDone);
+                buffer.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                buffer.removeEventListener('updateend', onDone);
+                buffer.removeEventListener('error', onError);
+                reject(new Error(`Could not append ${track.kind} data`));
+            };
+
+            buffer.addEventListener('updateend', onDone);
+            buffer.addEventListener('error', onError);
+
+            try {
+                buffer.appendBuffer(data);
+            } catch (error) {
+                buffer.removeEventListener('updateend', onDone);
+                buffer.removeEventListener('error', onError);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Remove buffered data well behind the playhead
+     *
+     * @param {Object} track - Track state
+     * @returns {Promise<void>}
+     */
+    function evictBehind(track) {
+        const buffer = track.sourceBuffer;
+        const removeEnd = video.currentTime - BUFFER_BEHIND;
+
+        if (buffer.updating || buffer.buffered.length === 0 || buffer.buffered.start(0) >= removeEnd) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            buffer.addEventListener('updateend', resolve, { once: true });
+            buffer.remove(0, removeEnd);
+        });
+    }
+
+    /**
+     * Get the end of the buffered range containing a time
+     *
+     * @param {Object} track - Track state
+     * @param {number} time - Time in seconds
+     * @returns {number|null} - Buffered range end or null if not buffered
+     */
+    function bufferedEndAt(track, time) {
+        const { buffered } = track.sourceBuffer;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= time + 0.1 && buffered.end(i) > time) {
+                return buffered.end(i);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetch and append the next segment of a track if it needs more data
+     *
+     * @param {Object} track - Track state
+     */
+    async function fillTrack(track) {
+        if (destroyed || track.busy || track.done) return;
+        if (track.nextTime - video.currentTime > BUFFER_AHEAD) return;
+
+        // A seek while this pass is running makes its segment useless
+        const seekGeneration = track.seekGeneration;
+        let keepFilling = false;
+        track.busy = true;
+
+        try {
+            const rep = track.kind === 'video' ?
+                chooseRepresentation(track.representations) :
+                track.rep;
+
+            track.rep = rep;
+
+            const segments = await loadSegments(rep);
+            const segment = segments.find(s => s.end > track.nextTime + 0.05);
+
+            if (!segment) {
+                track.done = true;
+                finishIfComplete();
+                return;
+            }
+
+            // A new representation needs its initialization segment first
+            if (track.initializedRep !== rep && rep.initRange) {
+                const mime = mimeFor(rep);
+                if (mime !== track.mime && typeof track.sourceBuffer.changeType === 'function') {
+                    track.sourceBuffer.changeType(mime);
+                    track.mime = mime;
+                }
+
+                const init = await fetchBytes(rep.url, rep.initRange, controller.signal);
+                await appendBuffer(track, init);
+                track.initializedRep = rep;
+            }
+
+            const startTime = performance.now();
+            const data = await fetchBytes(rep.url, segment.range, controller.signal);
+            const seconds = (performance.now() - startTime) / 1000;
+
+            if (track.kind === 'video' && seconds > 0 && data.byteLength > 0) {
+                // Exponential moving average of throughput in bits/s
+                const measured = data.byteLength * 8 / seconds;
+                bandwidthEstimate = bandwidthEstimate * 0.5 + measured * 0.5;
+            }
+
+            keepFilling = true;
+            if (track.seekGeneration !== seekGeneration) return;
+
+            await evictBehind(track);
+
+            try {
+                await appendBuffer(track, data);
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError') throw error;
+                // Buffer full - retry on the next timeupdate once playback moves on
+                keepFilling = false;
+                return;
+            }
+
+            if (track.seekGeneration === seekGeneration) {
+                track.nextTime = segment.end;
+            }
+        } catch (error) {
+            keepFilling = false;
+            if (!destroyed && error.name !== 'AbortError') {
+                fail(error);
+            }
+        } finally {
+            track.busy = false;
+        }
+
+        if (keepFilling) {
+            fillTrack(track);
+        }
+    }
+
+    /**
+     * Signal the end of the stream once every track is fully appended
+     */
+    function finishIfComplete() {
+        if (mediaSource.readyState !== 'open') return;
+        if (tracks.every(t => t.done && !t.sourceBuffer.updating)) {
+            try {
+                mediaSource.endOfStream();
+            } catch (e) {
+                console.warn('Could not end media stream:', e);
+            }
+        }
+    }
+
+    const onTimeUpdate = () => tracks.forEach(fillTrack);
+
+    // Decode errors surface on the element rather than from appendBuffer
+    const onMediaError = () => fail(new Error('Media element error'));
+
+    const onSeeking = () => {
+        tracks.forEach(track => {
+            track.seekGeneration++;
+
+            // Continue from the end of whatever is already buffered at the new position
+            const bufferedEnd = bufferedEndAt(track, video.currentTime);
+            track.nextTime = bufferedEnd !== null ? bufferedEnd : video.currentTime;
+            track.done = false;
+            fillTrack(track);
+        });
+    };
+
+    /**
+     * Load the manifest and create one SourceBuffer per track
+     */
+    async function start() {
+        try {
+            const response = await fetch(dashUrl, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Manifest request failed: ${response.status}`);
+            }
+
+            manifest = parseManifest(await response.text(), dashUrl);
+
+            const playableVideo = manifest.video.filter(rep => MediaSource.isTypeSupported(mimeFor(rep)));
+            const playableAudio = manifest.audio.filter(rep => MediaSource.isTypeSupported(mimeFor(rep)));
+
+            if (playableVideo.length === 0) {
+                throw new Error('No playable video representation');
+            }
+
+            if (destroyed || mediaSource.readyState !== 'open') return;
+
+            if (!isNaN(manifest.duration)) {
+                mediaSource.duration = manifest.duration;
+            }
+
+            tracks.push({
+                kind: 'video',
+                representations: playableVideo,
+                rep: null,
+                sourceBuffer: mediaSource.addSourceBuffer(mimeFor(playableVideo[0])),
+                mime: mimeFor(playableVideo[0]),
+                initializedRep: null,
+                nextTime: 0,
+                seekGeneration: 0,
+                busy: false,
+                done: false
+            });
+
+            // Best audio quality - it's cheap compared to video
+            if (playableAudio.length > 0) {
+                const audioRep = playableAudio[playableAudio.length - 1];
+                tracks.push({
+                    kind: 'audio',
+                    representations: playableAudio,
+                    rep: audioRep,
+                    sourceBuffer: mediaSource.addSourceBuffer(mimeFor(audioRep)),
+                    mime: mimeFor(audioRep),
+                    initializedRep: null,
+                    nextTime: 0,
+                    seekGeneration: 0,
+                    busy: false,
+                    done: false
+                });
+            }
+
+            video.addEventListener('timeupdate', onTimeUpdate);
+            video.addEventListener('seeking', onSeeking);
+            video.addEventListener('error', onMediaError);
+
+            tracks.forEach(fillTrack);
+        } catch (error) {
+            if (!destroyed && error.name !== 'AbortError') {
+                fail(error);
+            }
+        }
+    }
+
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        controller.abort();
+        video.removeEventListener('timeupdate', onTimeUpdate);
+        video.removeEventListener('seeking', onSeeking);
+        video.removeEventListener('error', onMediaError);
+        URL.revokeObjectURL(objectUrl);
+    }
+
+    mediaSource.addEventListener('sourceopen', start, { once: true });
+    video.src = objectUrl;
+
+    return { type: 'dash', destroy };
+}
+
+export {
+    canPlayAdaptive,
+    createAdaptivePlayer
+};
\ No newline at end of file
@@ -1,6 +1,15 @@
 /**
  * api.js - Enhanced Reddit API client with advanced caching
  */
+import { normalizeListing, applyNsfwMode } from './providers.js';
+import { applyContentFilters } from './content-filters.js';
+import {
+    parseSource, isUserSource, isMultiSource, getMultiParts, getSourceLabel, groupSources, buildListingUrl
+} from './sources.js';
+import { scheduledFetch } from './scheduler.js';
+import { getTransportSettings } from './transport.js';
+import { getActiveAccountName } from './auth.js';
+import { cacheGet, cacheSet, cacheClear } from './cache.js';
 
 // Configuration
 const BATCH_SIZE = 25;
@@ -13,73 +22,277 @@ const DEFAULT_SUBREDDITS = [
     'contagiouslaughter'
 ];
 
+// Listing sorts Reddit supports, and the ones that take a time window (`t`)
+const SORT_OPTIONS = ['hot', 'top', 'new', 'rising', 'controversial', 'best'];
+const TIME_SORTS = ['top', 'controversial'];
+const TIME_FILTERS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+// Refill a balanced-feed cursor when fewer videos than this are buffered
+const BALANCED_REFILL_THRESHOLD = 10;
+
 // Cache control
 const API_CACHE_TIME = 15 * 60 * 1000; // 15 minutes in milliseconds
-const apiCache = new Map();
+const SUBREDDIT_INFO_CACHE_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const AUTOCOMPLETE_CACHE_TIME = 60 * 60 * 1000; // 1 hour
+const AUTOCOMPLETE_LIMIT = 8;
+const COMMENTS_CACHE_TIME = 5 * 60 * 1000; // 5 minutes
+
+// Comment sorts Reddit supports (value → label)
+const COMMENT_SORTS = {
+    confidence: 'Best',
+    top: 'Top',
+    new: 'New',
+    controversial: 'Controversial',
+    old: 'Old',
+    qa: 'Q&A'
+};
+
+// Requests on the wire, keyed like the cache, so identical calls share one
+const inFlight = new Map();
+
+// Aborts the current feed query's requests once sort, time or subreddits change
+let feedController = null;
+let feedQueryKey = null;
 
 /**
- * Convert RedGifs URLs to embeddable format
+ * Check whether a sort takes a time window
  * 
- * @param {string} url - Original RedGifs URL
- * @param {boolean} muted - Whether the video should be muted
- * @returns {string} Embeddable URL
+ * @param {string} sort - Listing sort
+ * @returns {boolean} - Whether the `t` parameter applies
  */
-function getRedgifsEmbedUrl(url, muted = true) {
-    const id = url.split('/').pop();
-    return `https://www.redgifs.com/ifr/${id}?autoplay=1&muted=${muted ? '1' : '0'}&controls=1`;
+function usesTimeFilter(sort) {
+    return TIME_SORTS.includes(sort);
 }
 
 /**
- * Fetch with timeout and retry logic
+ * Replace unknown sort or time values (e.g. from older saved settings) with defaults
  * 
- * @param {string} url - URL to fetch
+ * @param {Object} settings - Settings with sort and time
+ * @returns {Object} - The same settings object, corrected in place
+ */
+function validateSortSettings(settings) {
+    if (!SORT_OPTIONS.includes(settings.sort)) {
+        settings.sort = 'hot';
+    }
+    if (!TIME_FILTERS.includes(settings.time)) {
+        settings.time = 'week';
+    }
+    return settings;
+}
+
+/**
+ * Fetch through the request scheduler, which handles retries and rate limits
+ * 
+ * @param {string} url - Reddit URL to fetch
  * @param {Object} options - Fetch options
  * @param {number} timeout - Timeout in milliseconds
- * @param {number} retries - Number of retries
  * @returns {Promise<Response>} - Fetch response
  */
-async function fetchWithRetry(url, options = {}, timeout = 10000, retries = 2) {
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+async function fetchWithRetry(url, options = {}, timeout = 10000) {
+    const response = await scheduledFetch(url, { ...options, timeout });
     
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    return response;
+}
+
+/**
+ * Share one in-flight request between identical callers
+ * 
+ * A caller joining a request started under someone else's signal gets a
+ * fresh request of its own if that signal aborts first.
+ * 
+ * @param {string} key - Request key (same as its cache key)
+ * @param {AbortSignal} signal - Signal the request was started with
+ * @param {function(): Promise} start - Starts the request (under this caller's signal)
+ * @returns {Promise} - The shared request
+ */
+function shareInFlight(key, signal, start) {
+    const pending = inFlight.get(key);
+    
+    // A cancelled request may not have settled yet - never hand it out again
+    if (pending && !(pending.signal && pending.signal.aborted)) {
+        if (!pending.signal || pending.signal === signal) {
+            return pending.promise;
         }
         
-        return response;
+        return pending.promise.catch(error => {
+            if (pending.signal.aborted && !(signal && signal.aborted)) {
+                return shareInFlight(key, signal, start);
+            }
+            throw error;
+        });
+    }
+    
+    const promise = start().finally(() => {
+        if (inFlight.get(key) === entry) {
+            inFlight.delete(key);
+        }
+    });
+    const entry = { promise, signal };
+    inFlight.set(key, entry);
+    
+    return promise;
+}
+
+/**
+ * Get the abort signal for a feed query, cancelling the previous query if it changed
+ * 
+ * @param {Array} subreddits - Active subreddits
+ * @param {Object} settings - Current settings
+ * @returns {AbortSignal} - Signal for the query's requests
+ */
+function getFeedSignal(subreddits, settings) {
+    const queryKey = JSON.stringify({
+        subs: [...subreddits].sort().join('+'),
+        sort: settings.sort,
+        time: usesTimeFilter(settings.sort) ? settings.time : null,
+        mode: settings.feedMode
+    });
+    
+    if (!feedController || queryKey !== feedQueryKey) {
+        cancelFeedRequests();
+        feedController = new AbortController();
+        feedQueryKey = queryKey;
+    }
+    
+    return feedController.signal;
+}
+
+/**
+ * Cancel every request of the current feed query
+ * 
+ * Their callbacks are never called, so late responses can't reach the grid.
+ */
+function cancelFeedRequests() {
+    if (feedController) {
+        feedController.abort();
+    }
+    feedController = null;
+    feedQueryKey = null;
+}
+
+/**
+ * Get the account listings are fetched as
+ * 
+ * In direct mode listings carry that account's votes (`likes`), so each
+ * account needs its own cached pages. Proxied listings are anonymous.
+ * 
+ * @returns {string|null} - Username, or null for anonymous listings
+ */
+function getListingViewer() {
+    return getTransportSettings().mode === 'direct' ? getActiveAccountName() : null;
+}
+
+/**
+ * Fetch one page of videos for a set of subreddits (or a single user profile)
+ * 
+ * A fresh cached page is returned as is. A stale one is returned right away,
+ * marked `stale`, when `onRevalidate` is given (the fresh page is passed to it
+ * once loaded); otherwise it is only used if the network request fails.
+ * 
+ * @param {Array} subreddits - Subreddits to combine into one listing
+ * @param {Object} settings - Current settings
+ * @param {string} afterToken - Token for pagination
+ * @param {Object} options - Request options
+ * @param {function} options.onRevalidate - Receives the fresh page after a stale one was returned, or null if it couldn't be loaded
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Page with videos, after token and hasMore flag
+ */
+async function fetchVideoPage(subreddits, settings, afterToken, { onRevalidate = null, signal = null } = {}) {
+    // Create cache key from parameters
+    const cacheKey = `feed_${JSON.stringify({
+        subs: [...subreddits].sort().join('+'),
+        sort: settings.sort,
+        time: usesTimeFilter(settings.sort) ? settings.time : null,
+        after: afterToken,
+        viewer: getListingViewer()
+    })}`;
+    
+    // Check cache first
+    const cached = await cacheGet(cacheKey, { allowStale: true });
+    if (cached && cached.fresh) {
+        console.log('Using cached Reddit results');
+        return withFeedFilters(cached.value);
+    }
+    
+    const request = shareInFlight(cacheKey, signal, () =>
+        requestVideoPage(subreddits, settings, afterToken, cacheKey, signal)
+    );
+    
+    if (cached && onRevalidate) {
+        // Stale-while-revalidate: paint what we have, swap in fresh data later
+        request
+            .then(withFeedFilters, error => {
+                console.warn('Revalidating cached page failed:', error);
+                return null;
+            })
+            .then(onRevalidate);
+        return { ...withFeedFilters(cached.value), stale: true };
+    }
+    
+    try {
+        return withFeedFilters(await request);
     } catch (error) {
-        clearTimeout(timeoutId);
-        
-        // If we have retries left and it's a timeout or network error, retry
-        if (retries > 0 && (error.name === 'AbortError' || error.message.includes('Failed to fetch'))) {
-            console.log(`Retrying fetch to ${url}, ${retries} attempts left`);
-            // Exponential backoff
-            await new Promise(r => setTimeout(r, 1000 * (3 - retries)));
-            return fetchWithRetry(url, options, timeout, retries - 1);
+        if (cached && !(signal && signal.aborted)) {
+            console.warn('Using stale cached Reddit results:', error);
+            return withFeedFilters(cached.value);
         }
-        
         throw error;
     }
 }
 
 /**
- * Check if cached result is still valid
+ * Apply the NSFW mode and content filter rules to a page of videos
+ * 
+ * Pages are cached unfiltered so a settings change doesn't need a refetch.
  * 
- * @param {Object} cachedResult - Cached result with timestamp
- * @returns {boolean} - Whether cache is valid
+ * @param {Object} page - Page with videos, after and hasMore
+ * @returns {Object} - Page with hidden and filtered videos removed
  */
-function isCacheValid(cachedResult) {
-    if (!cachedResult) return false;
-    return (Date.now() - cachedResult.timestamp) < API_CACHE_TIME;
+function withFeedFilters(page) {
+    return { ...page, videos: applyContentFilters(applyNsfwMode(page.videos)) };
+}
+
+/**
+ * Request one page of videos from Reddit and cache it
+ * 
+ * @param {Array} subreddits - Subreddits to combine into one listing
+ * @param {Object} settings - Current settings
+ * @param {string} afterToken - Token for pagination
+ * @param {string} cacheKey - Key to store the page under
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} - Page with videos, after token and hasMore flag
+ */
+async function requestVideoPage(subreddits, settings, afterToken, cacheKey, signal) {
+    const url = buildListingUrl(subreddits, settings, afterToken, BATCH_SIZE, usesTimeFilter(settings.sort));
+    
+    console.log("Fetching from URL:", url);
+
+    const response = await fetchWithRetry(url, { signal });
+    const data = await response.json();
+    
+    // Validate response structure
+    if (!data || !data.data || !Array.isArray(data.data.children)) {
+        throw new Error('Invalid response format from Reddit API');
+    }
+    
+    // Keep only posts a media provider can play
+    const page = {
+        videos: normalizeListing(data.data.children),
+        after: data.data.after,
+        hasMore: data.data.after !== null,
+        timestamp: Date.now()
+    };
+
+    // Store results in cache
+    await cacheSet(cacheKey, page, API_CACHE_TIME);
+
+    return page;
 }
 
 /**
@@ -90,168 +303,386 @@ function isCacheValid(cachedResult) {
  * @param {string} afterToken - Token for pagination
  * @param {function} onSuccess - Success callback
  * @param {function} onError - Error callback
+ * @param {function} onRevalidate - Optional callback for fresh results replacing stale cached ones
+ * 
+ * Callbacks are skipped if the query is superseded (see cancelFeedRequests).
  */
-async function fetchRedditVideos(activeSubreddits, settings, afterToken, onSuccess, onError) {
+async function fetchRedditVideos(activeSubreddits, settings, afterToken, onSuccess, onError, onRevalidate = null) {
     if (!activeSubreddits || activeSubreddits.length === 0) {
         onSuccess([], null, false);
         return;
     }
 
+    const signal = getFeedSignal(activeSubreddits, settings);
+
     try {
-        // Create cache key from parameters
-        const cacheKey = JSON.stringify({
-            subs: activeSubreddits.sort().join('+'),
-            sort: settings.sort,
-            time: settings.time,
-            after: afterToken
+        const revalidate = onRevalidate ?
+            page => {
+                if (page && !signal.aborted) onRevalidate(page.videos, page.after, page.hasMore);
+            } :
+            null;
+        const page = await fetchVideoPage(activeSubreddits, settings, afterToken, {
+            onRevalidate: revalidate,
+            signal
         });
         
-        // Check cache first
-        const cachedResult = apiCache.get(cacheKey);
-        if (isCacheValid(cachedResult)) {
-            console.log('Using cached Reddit results');
-            onSuccess(cachedResult.videos, cachedResult.after, cachedResult.hasMore);
-            return;
+        if (signal.aborted) return;
+        onSuccess(page.videos, page.after, page.hasMore);
+    } catch (error) {
+        if (signal.aborted) return;
+        console.error('Error fetching content:', error);
+        onError(error);
+    }
+}
+
+/**
+ * Get the balancing weight of a subreddit from settings
+ * 
+ * @param {Object} settings - Current settings
+ * @param {string} name - Subreddit name
+ * @returns {number} - Weight (defaults to 1)
+ */
+function getSubredditWeight(settings, name) {
+    const sub = (settings.subreddits || []).find(s => s.name === name);
+    const weight = sub && Number(sub.weight);
+    return weight > 0 ? weight : 1;
+}
+
+/**
+ * Create pagination state for a balanced feed
+ * 
+ * Each subreddit keeps its own `after` cursor and a buffer of fetched
+ * videos that haven't been shown yet. Mixed feeds that include user
+ * profiles also go through here, with all subreddits sharing one cursor
+ * and a cursor per profile, since Reddit can't combine the two.
+ * 
+ * @param {Array} subreddits - Active sources
+ * @param {Object} settings - Current settings (uses feedMode)
+ * @returns {Object} - Balanced feed state
+ */
+function createBalancedFeed(subreddits, settings = {}) {
+    const groups = settings.feedMode === 'balanced' ?
+        subreddits.map(name => [name]) :
+        groupSources(subreddits);
+    
+    return {
+        pages: 0,
+        cursors: groups.map(sources => ({
+            name: sources.join('+'),
+            sources,
+            after: null,
+            buffer: [],
+            exhausted: false,
+            error: null,
+            scoreScale: 1
+        }))
+    };
+}
+
+/**
+ * Interleave buffered videos from each cursor into one page
+ * 
+ * By rank, subreddits take turns contributing `weight` videos each.
+ * By score, the buffered video with the highest weighted score goes next,
+ * which keeps each subreddit's own order intact. Scores are relative to the
+ * best post seen in the same subreddit, so a small community's top post
+ * competes with a big community's top post rather than its hundredth.
+ * Merging stops once a cursor that still has more pages runs dry, so the
+ * next call can refill it instead of letting the others crowd it out.
+ * 
+ * @param {Array} cursors - Feed cursors
+ * @param {Object} settings - Current settings
+ * @returns {Array} - Merged videos
+ */
+function mergeCursors(cursors, settings) {
+    const merged = [];
+    const weightOf = cursor => getSubredditWeight(settings, cursor.name);
+    // Cursors whose last fetch failed don't hold up the others
+    const isStarved = cursor => cursor.buffer.length === 0 && !cursor.exhausted && !cursor.error;
+    
+    while (merged.length < BATCH_SIZE) {
+        const available = cursors.filter(c => c.buffer.length > 0);
+        if (available.length === 0) break;
+        if (merged.length > 0 && cursors.some(isStarved)) break;
+        
+        if (settings.balanceBy === 'rank') {
+            // One weighted round-robin pass
+            for (const cursor of available) {
+                const take = Math.min(Math.round(weightOf(cursor)), cursor.buffer.length);
+                merged.push(...cursor.buffer.splice(0, Math.max(take, 1)));
+                if (isStarved(cursor)) break;
+            }
+        } else {
+            const scoreOf = cursor => (cursor.buffer[0].upvotes || 0) / cursor.scoreScale * weightOf(cursor);
+            const best = available.reduce((a, b) => scoreOf(b) > scoreOf(a) ? b : a);
+            merged.push(best.buffer.shift());
         }
+    }
+    
+    return merged.slice(0, BATCH_SIZE);
+}
+
+/**
+ * Add a fetched listing page to a cursor
+ * 
+ * @param {Object} cursor - Feed cursor
+ * @param {Object} page - Page with videos, after token and hasMore flag
+ */
+function fillCursor(cursor, page) {
+    cursor.after = page.after;
+    cursor.exhausted = !page.hasMore;
+    cursor.buffer.push(...page.videos);
+    cursor.scoreScale = Math.max(cursor.scoreScale, ...page.videos.map(v => v.upvotes || 0));
+    cursor.error = null;
+}
+
+/**
+ * Rebuild a balanced feed's first page once fresh pages replace stale ones
+ * 
+ * Waits for every stale page so the feed is repainted once, and gives up if
+ * the feed loaded more pages or was superseded in the meantime.
+ * 
+ * @param {Object} feed - State from createBalancedFeed
+ * @param {Object} settings - Current settings
+ * @param {Map} firstPages - Cursor -> page the first page was merged from
+ * @param {Map} freshPages - Cursor -> promise of its fresh page (null if it failed)
+ * @param {AbortSignal} signal - Feed query signal
+ * @param {function} onRevalidate - Receives the rebuilt page
+ */
+async function revalidateBalancedFeed(feed, settings, firstPages, freshPages, signal, onRevalidate) {
+    const fresh = new Map();
+    for (const [cursor, promise] of freshPages) {
+        const page = await promise;
+        if (page) fresh.set(cursor, page);
+    }
+    
+    if (fresh.size === 0 || signal.aborted || feed.pages !== 1) return;
+    
+    feed.cursors.forEach(cursor => {
+        const page = fresh.get(cursor) || firstPages.get(cursor);
+        if (!page) return;
+        
+        cursor.buffer = [];
+        cursor.scoreScale = 1;
+        fillCursor(cursor, page);
+    });
+    
+    const videos = mergeCursors(feed.cursors, settings);
+    onRevalidate(videos, null, feed.cursors.some(c => !c.exhausted || c.buffer.length > 0));
+}
+
+/**
+ * Fetch the next page of a balanced feed
+ * 
+ * Pulls a new listing page for every subreddit whose buffer is running low,
+ * then interleaves the buffers. With `onRevalidate`, the first page may be
+ * merged from stale cached pages and is rebuilt once fresh ones arrive.
+ * 
+ * @param {Object} feed - State from createBalancedFeed
+ * @param {Object} settings - Current settings (uses balanceBy and subreddit weights)
+ * @param {function} onSuccess - Success callback
+ * @param {function} onError - Error callback
+ * @param {function} onRevalidate - Optional callback for a fresh first page replacing a stale one
+ */
+async function fetchBalancedVideos(feed, settings, onSuccess, onError, onRevalidate = null) {
+    if (!feed || feed.cursors.length === 0) {
+        onSuccess([], null, false);
+        return;
+    }
+
+    const signal = getFeedSignal(feed.cursors.map(c => c.name), settings);
+    
+    // Later pages continue from what's shown, so only the first may be stale
+    const revalidate = onRevalidate && feed.pages === 0;
+    const firstPages = new Map();
+    const freshPages = new Map();
+    feed.pages++;
+
+    try {
+        const lowCursors = feed.cursors.filter(c => 
+            !c.exhausted && c.buffer.length < BALANCED_REFILL_THRESHOLD
+        );
         
-        // Join subreddits with proper URL encoding for each
-        const multiSub = activeSubreddits.map(sub => encodeURIComponent(sub)).join('+');
-        const sort = settings.sort;
+        const results = await Promise.allSettled(lowCursors.map(async cursor => {
+            try {
+                let resolveFresh = null;
+                const fresh = new Promise(resolve => { resolveFresh = resolve; });
+                const page = await fetchVideoPage(cursor.sources, settings, cursor.after, {
+                    onRevalidate: revalidate ? resolveFresh : null,
+                    signal
+                });
+                
+                firstPages.set(cursor, page);
+                if (page.stale) freshPages.set(cursor, fresh);
+                fillCursor(cursor, page);
+            } catch (error) {
+                cursor.error = error;
+                throw error;
+            }
+        }));
         
-        // The CORS proxy passes additional parameters, so only encode the base URL
-        const baseUrl = `https://www.reddit.com/r/${multiSub}/${sort}.json?limit=${BATCH_SIZE}&raw_json=1`;
-        const timeParam = sort === 'top' ? `&t=${settings.time}` : '';
+        if (signal.aborted) return;
         
-        // Construct URL with params outside encodeURIComponent for proxy to pass them through
-        let url = `https://corsproxy.io/?${encodeURIComponent(baseUrl)}${afterToken ? `&after=${afterToken}` : ''}${timeParam}`;
+        const failures = results.filter(r => r.status === 'rejected');
+        failures.forEach(r => console.warn('Balanced feed cursor failed:', r.reason));
         
-        console.log("Fetching from URL:", url);
-
-        const response = await fetchWithRetry(url);
-        const data = await response.json();
+        const videos = mergeCursors(feed.cursors, settings);
+        const hasMore = feed.cursors.some(c => !c.exhausted || c.buffer.length > 0);
         
-        // Validate response structure
-        if (!data || !data.data || !Array.isArray(data.data.children)) {
-            throw new Error('Invalid response format from Reddit API');
+        // Only surface an error when nothing could be loaded at all
+        if (videos.length === 0 && failures.length > 0 && failures.length === lowCursors.length) {
+            throw failures[0].reason;
         }
         
-        // Update pagination state
-        const newAfterToken = data.data.after;
-        const hasMore = newAfterToken !== null;
-
-        // Filter for videos and images
-        const newVideos = data.data.children
-            .filter(post => {
-                if (!post || !post.data) return false;
-                
-                // Keep videos and GIFs
-                return (
-                    // Native Reddit videos
-                    post.data.is_video || 
-                    // External videos (YouTube, etc.)
-                    (post.data.domain && (
-                        post.data.domain.includes('youtube.com') || 
-                        post.data.domain.includes('youtu.be') ||
-                        post.data.domain.includes('redgifs.com') ||
-                        post.data.domain.includes('gfycat.com')
-                    )) ||
-                    // Check for videos in secure media embeds
-                    (post.data.secure_media && post.data.secure_media.oembed) ||
-                    // Also include GIFs
-                    (post.data.url && (
-                        post.data.url.endsWith('.gif') ||
-                        post.data.url.endsWith('.gifv')
-                    ))
-                );
-            })
-            .map(post => {
-                const data = post.data;
-                const isRedditVideo = data.is_video && data.media && data.media.reddit_video;
-                const isRedgifs = data.url && data.url.includes('redgifs.com');
-                const isYouTube = data.url && (data.url.includes('youtube.com') || data.url.includes('youtu.be'));
-                
-                let videoUrl;
-                if (isRedditVideo) {
-                    videoUrl = data.url; // Use the post URL for Reddit videos
-                } else if (isRedgifs) {
-                    videoUrl = getRedgifsEmbedUrl(data.url);
-                } else if (isYouTube) {
-                    // Extract video ID is now handled in showLightbox
-                    videoUrl = data.url;
-                } else if (data.secure_media && data.secure_media.oembed) {
-                    // Extract iframe src if available
-                    const html = data.secure_media.oembed.html;
-                    const srcMatch = html?.match(/src="([^"]+)"/);
-                    videoUrl = srcMatch ? srcMatch[1] : data.url;
-                } else {
-                    videoUrl = data.url;
-                }
-                
-                // Get thumbnail - use higher res when available
-                let thumbnailUrl;
-                if (data.preview && data.preview.images && data.preview.images[0]) {
-                    // Try to get the highest quality preview without being too large
-                    const previews = data.preview.images[0].resolutions || [];
-                    const mediumPreview = previews.find(p => p.width >= 640) || 
-                                         previews[previews.length - 1];
-                    
-                    thumbnailUrl = mediumPreview ? 
-                        mediumPreview.url.replace(/&amp;/g, '&') : 
-                        data.preview.images[0].source.url.replace(/&amp;/g, '&');
-                } else if (data.thumbnail && data.thumbnail !== 'self' && data.thumbnail !== 'default') {
-                    thumbnailUrl = data.thumbnail;
-                } else {
-                    thumbnailUrl = 'https://www.redditstatic.com/mweb2x/img/camera.png'; // Fallback
-                }
-                
-                // Improved Reddit video audio extraction
-                let audioUrl = null;
-                if (isRedditVideo && data.media.reddit_video.fallback_url) {
-                    // Extract the base URL without resolution specification
-                    const videoBaseUrl = data.media.reddit_video.fallback_url.split('DASH_')[0];
-                    audioUrl = `${videoBaseUrl}DASH_audio.mp4`;
-                }
-                
-                return {
-                    id: data.id,
-                    title: data.title,
-                    subreddit: data.subreddit,
-                    url: videoUrl,
-                    thumbnail: thumbnailUrl,
-                    upvotes: data.ups,
-                    comments: data.num_comments,
-                    created: new Date(data.created_utc * 1000).toLocaleDateString(),
-                    isVideo: true, // All are treated as "video" for the purpose of the lightbox
-                    isReddit: isRedditVideo,
-                    fallbackUrl: isRedditVideo ? data.media.reddit_video.fallback_url : null,
-                    audioUrl: audioUrl,
-                    permalink: data.permalink,
-                    author: data.author
-                };
-            });
-
-        // Store results in cache
-        apiCache.set(cacheKey, {
-            videos: newVideos,
-            after: newAfterToken,
-            hasMore,
-            timestamp: Date.now()
-        });
+        onSuccess(videos, null, hasMore);
         
-        // Limit cache size
-        if (apiCache.size > 50) {
-            // Delete oldest entries
-            const keys = [...apiCache.keys()];
-            keys.slice(0, 10).forEach(key => apiCache.delete(key));
+        if (freshPages.size > 0) {
+            revalidateBalancedFeed(feed, settings, firstPages, freshPages, signal, onRevalidate);
         }
-
-        onSuccess(newVideos, newAfterToken, hasMore);
     } catch (error) {
-        console.error('Error fetching content:', error);
+        if (signal.aborted) return;
+        console.error('Error fetching balanced feed:', error);
         onError(error);
     }
 }
 
+/**
+ * Normalize a comment (or "load more" stub) and its replies
+ * 
+ * @param {Object} child - Listing child of kind t1 or more
+ * @returns {Object|null} - Normalized comment, or null for anything else
+ */
+function normalizeComment(child) {
+    const data = child && child.data;
+    if (!data) return null;
+    
+    if (child.kind === 'more') {
+        return {
+            kind: 'more',
+            id: data.id,
+            parentId: data.parent_id,
+            depth: data.depth || 0,
+            count: data.count || 0,
+            children: data.children || []
+        };
+    }
+    
+    if (child.kind !== 't1') return null;
+    
+    const replies = data.replies && data.replies.data ? data.replies.data.children : [];
+    
+    return {
+        kind: 'comment',
+        id: data.id,
+        name: data.name,
+        parentId: data.parent_id,
+        depth: data.depth || 0,
+        author: data.author,
+        score: data.score,
+        scoreHidden: data.score_hidden || false,
+        body: data.body || '',
+        bodyHtml: data.body_html || '',
+        createdUtc: data.created_utc,
+        edited: Boolean(data.edited),
+        isSubmitter: data.is_submitter || false,
+        stickied: data.stickied || false,
+        permalink: data.permalink,
+        replies: replies.map(normalizeComment).filter(Boolean)
+    };
+}
+
+/**
+ * Fetch the comment tree of a post
+ * 
+ * @param {string} permalink - Post permalink (/r/sub/comments/id/slug/)
+ * @param {string} sort - Comment sort (see COMMENT_SORTS)
+ * @returns {Promise<Object>} - { linkId, comments }
+ */
+async function fetchComments(permalink, sort = 'confidence') {
+    const path = permalink.replace(/\/+$/, '');
+    const cacheKey = `comments_${path}_${sort}`;
+    const cached = await cacheGet(cacheKey, { allowStale: true });
+    
+    if (cached && cached.fresh) {
+        return cached.value;
+    }
+    
+    return shareInFlight(cacheKey, null, async () => {
+        try {
+            const response = await fetchWithRetry(`https://www.reddit.com${path}.json?sort=${sort}&limit=100&raw_json=1`);
+            const data = await response.json();
+            
+            if (!Array.isArray(data) || !data[0] || !data[1]) {
+                throw new Error('Invalid response format');
+            }
+            
+            const result = {
+                linkId: data[0].data.children[0].data.name,
+                comments: data[1].data.children.map(normalizeComment).filter(Boolean)
+            };
+            
+            await cacheSet(cacheKey, result, COMMENTS_CACHE_TIME);
+            
+            return result;
+        } catch (error) {
+            // An older copy of the thread beats no thread
+            if (cached) {
+                return cached.value;
+            }
+            throw error;
+        }
+    });
+}
+
+/**
+ * Fetch comments hidden behind a "load more" stub
+ * 
+ * Reddit returns them as a flat list; they are rebuilt into a tree whose
+ * roots belong where the stub was.
+ * 
+ * @param {string} linkId - Fullname of the post (t3_...)
+ * @param {Object} more - Normalized "more" stub
+ * @param {string} sort - Comment sort
+ * @returns {Promise<Array>} - Normalized comments (and further stubs)
+ */
+async function fetchMoreComments(linkId, more, sort = 'confidence') {
+    // The endpoint accepts at most 100 ids per call
+    const ids = more.children.slice(0, 100).join(',');
+    const url = `https://www.reddit.com/api/morechildren.json?api_type=json&link_id=${linkId}&children=${ids}&sort=${sort}&limit_children=false&raw_json=1`;
+    
+    const response = await fetchWithRetry(url);
+    const data = await response.json();
+    
+    const things = data && data.json && data.json.data && data.json.data.things;
+    if (!Array.isArray(things)) {
+        throw new Error('Invalid response format');
+    }
+    
+    const nodes = things.map(normalizeComment).filter(Boolean);
+    const byName = new Map(nodes.filter(node => node.kind === 'comment').map(node => [node.name, node]));
+    const roots = [];
+    
+    nodes.forEach(node => {
+        const parent = byName.get(node.parentId);
+        if (parent) {
+            parent.replies.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    
+    // Ids beyond the first 100 go into a new stub
+    if (more.children.length > 100) {
+        roots.push({
+            ...more,
+            count: Math.max(more.count - 100, more.children.length - 100),
+            children: more.children.slice(100)
+        });
+    }
+    
+    return roots;
+}
+
 /**
  * Fetch information about a subreddit with improved error handling
  * 
@@ -261,16 +692,26 @@ async function fetchRedditVideos(activeSubreddits, settings, afterToken, onSucce
 async function fetchSubredditInfo(subreddit) {
     // Check cache first
     const cacheKey = `subreddit_info_${subreddit.toLowerCase()}`;
-    const cachedInfo = apiCache.get(cacheKey);
+    const cachedInfo = await cacheGet(cacheKey, { allowStale: true });
     
-    if (isCacheValid(cachedInfo)) {
-        return cachedInfo.data;
+    if (cachedInfo && cachedInfo.fresh) {
+        return cachedInfo.value;
     }
     
+    return shareInFlight(cacheKey, null, () => requestSubredditInfo(subreddit, cacheKey, cachedInfo));
+}
+
+/**
+ * Request subreddit information from Reddit and cache it
+ * 
+ * @param {string} subreddit - Subreddit name
+ * @param {string} cacheKey - Key to store the info under
+ * @param {Object|null} cachedInfo - Stale cache entry to fall back to
+ * @returns {Promise<Object>} - Subreddit information
+ */
+async function requestSubredditInfo(subreddit, cacheKey, cachedInfo) {
     try {
-        const url = `https://corsproxy.io/?${encodeURIComponent(
-            `https://www.reddit.com/r/${subreddit}/about.json`
-        )}`;
+        const url = `https://www.reddit.com/r/${subreddit}/about.json`;
         
         const response = await fetchWithRetry(url);
         
@@ -318,15 +759,17 @@ async function fetchSubredditInfo(subreddit) {
         };
         
         // Cache the result
-        apiCache.set(cacheKey, {
-            data: subredditInfo,
-            timestamp: Date.now()
-        });
+        await cacheSet(cacheKey, subredditInfo, SUBREDDIT_INFO_CACHE_TIME);
         
         return subredditInfo;
     } catch (error) {
         console.error(`Error fetching subreddit info for ${subreddit}:`, error);
         
+        // Fall back to the last known info
+        if (cachedInfo) {
+            return cachedInfo.value;
+        }
+        
         // Provide informative return value even on error
         return { 
             name: subreddit, 
@@ -337,34 +780,171 @@ async function fetchSubredditInfo(subreddit) {
     }
 }
 
+/**
+ * Fetch a multireddit's details and member subreddits
+ * 
+ * @param {string} source - Multireddit source string (m/owner/name)
+ * @returns {Promise<Object>} - Multireddit information
+ */
+async function fetchMultiredditInfo(source) {
+    const { owner, name } = getMultiParts(source);
+    const cacheKey = `multi_info_${owner.toLowerCase()}_${name.toLowerCase()}`;
+    const cachedInfo = await cacheGet(cacheKey, { allowStale: true });
+    
+    if (cachedInfo && cachedInfo.fresh) {
+        return cachedInfo.value;
+    }
+    
+    return shareInFlight(cacheKey, null, async () => {
+        try {
+            const url = `https://www.reddit.com/api/multi/user/${encodeURIComponent(owner)}/m/${encodeURIComponent(name)}.json`;
+            const response = await fetchWithRetry(url);
+            const data = await response.json();
+            
+            if (!data || !data.data) {
+                throw new Error('Invalid response format');
+            }
+            
+            const multiInfo = {
+                name: source,
+                subscribers: 0,
+                exists: true,
+                title: data.data.display_name || name,
+                description: data.data.description_md || '',
+                nsfw: data.data.over_18 || false,
+                subreddits: (data.data.subreddits || []).map(sub => sub.name)
+            };
+            
+            await cacheSet(cacheKey, multiInfo, SUBREDDIT_INFO_CACHE_TIME);
+            
+            return multiInfo;
+        } catch (error) {
+            // Private multis are reported as missing to anyone but their owner
+            if (error.status === 404 || error.status === 403) {
+                console.warn(`Multireddit not found or private: ${source}`);
+                const missingInfo = { name: source, subreddits: [], exists: false, errorCode: error.status };
+                await cacheSet(cacheKey, missingInfo, SUBREDDIT_INFO_CACHE_TIME);
+                return missingInfo;
+            }
+            
+            console.error(`Error fetching multireddit info for ${source}:`, error);
+            
+            if (cachedInfo) {
+                return cachedInfo.value;
+            }
+            
+            return { name: source, subreddits: [], exists: null, errorMessage: error.message };
+        }
+    });
+}
+
+/**
+ * Suggest subreddits whose names match what the user has typed
+ * 
+ * Uses Reddit's autocomplete endpoint and falls back to subreddit search
+ * if it fails. Results are cached per query.
+ * 
+ * @param {string} query - Partial subreddit name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeNsfw=true] - Whether to include 18+ subreddits
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Array>} - Suggestions with name, subscribers, nsfw and iconUrl
+ */
+async function fetchSubredditSuggestions(query, { includeNsfw = true, signal = null } = {}) {
+    const cleanQuery = query.trim().replace(/^\/?r\//i, '').toLowerCase();
+    if (!cleanQuery) return [];
+    
+    const cacheKey = `subreddit_suggest_${includeNsfw ? 'all' : 'sfw'}_${cleanQuery}`;
+    const cached = await cacheGet(cacheKey);
+    
+    if (cached) {
+        return cached.value;
+    }
+    
+    return shareInFlight(cacheKey, signal, async () => {
+        const params = `limit=${AUTOCOMPLETE_LIMIT}&include_over_18=${includeNsfw}&raw_json=1`;
+        const urls = [
+            `https://www.reddit.com/api/subreddit_autocomplete_v2.json?query=${encodeURIComponent(cleanQuery)}&include_profiles=false&${params}`,
+            `https://www.reddit.com/subreddits/search.json?q=${encodeURIComponent(cleanQuery)}&${params}`
+        ];
+        
+        let lastError = null;
+        for (const url of urls) {
+            try {
+                const response = await fetchWithRetry(url, { signal });
+                const data = await response.json();
+                
+                if (!data || !data.data || !Array.isArray(data.data.children)) {
+                    throw new Error('Invalid response format');
+                }
+                
+                const suggestions = data.data.children
+                    .filter(child => child.kind === 't5' && child.data && child.data.display_name)
+                    .map(child => ({
+                        name: child.data.display_name,
+                        subscribers: child.data.subscribers || 0,
+                        nsfw: child.data.over18 || false,
+                        iconUrl: child.data.community_icon || child.data.icon_img || null
+                    }))
+                    .filter(suggestion => includeNsfw || !suggestion.nsfw);
+                
+                await cacheSet(cacheKey, suggestions, AUTOCOMPLETE_CACHE_TIME);
+                
+                return suggestions;
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                lastError = error;
+            }
+        }
+        
+        throw lastError;
+    });
+}
+
 /**
  * Handle subreddit validation with user feedback
  * 
- * @param {string} subreddit - Subreddit name to validate
+ * Also accepts user profiles and multireddits (see parseSource); the info
+ * passed to onSuccess has the source string as its `name`.
+ * 
+ * @param {string} subreddit - Subreddit, profile or multireddit to validate
  * @param {function} onSuccess - Success callback
  * @param {function} onError - Error callback
+ * @param {Object} [options] - Options passed to parseSource (e.g. the logged-in user)
  */
-async function validateAndAddSubreddit(subreddit, onSuccess, onError) {
-    if (!subreddit || typeof subreddit !== 'string') {
+async function validateAndAddSubreddit(subreddit, onSuccess, onError, options = {}) {
+    const cleanSubreddit = parseSource(subreddit, options);
+    
+    if (!cleanSubreddit) {
         onError('Please enter a valid subreddit name');
         return;
     }
     
-    // Clean the input
-    const cleanSubreddit = subreddit.trim().replace(/^r\//, '');
-    
-    if (!cleanSubreddit) {
-        onError('Please enter a valid subreddit name');
+    // Profiles have no about page worth checking; their feed shows if they exist
+    if (isUserSource(cleanSubreddit)) {
+        onSuccess({ name: cleanSubreddit, subscribers: 0, exists: true });
         return;
     }
     
+    // Show loading indicator
+    const showLoading = window.showLoading || (() => {});
+    const hideLoading = window.hideLoading || (() => {});
+    
     try {
-        // Show loading indicator
-        const showLoading = window.showLoading || (() => {});
-        const hideLoading = window.hideLoading || (() => {});
-        
         showLoading();
         
+        if (isMultiSource(cleanSubreddit)) {
+            const multiInfo = await fetchMultiredditInfo(cleanSubreddit);
+            
+            if (multiInfo.exists === false) {
+                onError(`Multireddit ${getSourceLabel(cleanSubreddit)} not found or private`);
+                return;
+            }
+            
+            onSuccess(multiInfo);
+            return;
+        }
+        
         const info = await fetchSubredditInfo(cleanSubreddit);
         
         if (!info.exists) {
@@ -397,17 +977,30 @@ async function validateAndAddSubreddit(subreddit, onSuccess, onError) {
 
 /**
  * Clear API cache
+ * 
+ * @returns {Promise<void>}
  */
-function clearApiCache() {
-    apiCache.clear();
+async function clearApiCache() {
+    await cacheClear();
     console.log('API cache cleared');
 }
 
 export { 
     DEFAULT_SUBREDDITS, 
+    SORT_OPTIONS,
+    TIME_FILTERS,
+    COMMENT_SORTS,
+    usesTimeFilter,
+    validateSortSettings,
     fetchRedditVideos,
+    createBalancedFeed,
+    fetchBalancedVideos,
+    cancelFeedRequests,
     fetchSubredditInfo,
-    getRedgifsEmbedUrl,
+    fetchMultiredditInfo,
+    fetchSubredditSuggestions,
+    fetchComments,
+    fetchMoreComments,
     validateAndAddSubreddit,
     clearApiCache
 };
\ No newline at end of file
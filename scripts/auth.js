@@ -1,59 +1,427 @@
 /**
  * auth.js - Reddit OAuth authentication and user management
  */
+import { normalizeListing } from './providers.js';
+import { parseSource } from './sources.js';
+import { fetchWithTimeout, setTokenProvider } from './transport.js';
+import { scheduledFetch } from './scheduler.js';
+import { saveAuthConfig, loadAuthConfig } from './storage.js';
+import {
+    loadTokens, saveTokens, clearTokens, withTokenLock, broadcastTokenChange, onTokenChange
+} from './token-store.js';
 
 // Configuration
-const CLIENT_ID = 'YOUR_CLIENT_ID'; // Replace with actual Reddit API client ID when registering the app
-const REDIRECT_URI = `${window.location.origin}/auth-callback.html`;
-const SCOPES = ['identity', 'read', 'subscribe', 'save', 'history'];
+const AUTHORIZE_URL = 'https://www.reddit.com/api/v1/authorize';
+const TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+const REVOKE_URL = 'https://www.reddit.com/api/v1/revoke_token';
+const SCOPES = ['identity', 'read', 'subscribe', 'save', 'history', 'vote', 'mysubreddits'];
 const AUTH_DURATION = 'permanent';
-const TOKEN_KEY = 'reddit_auth_token';
-const REFRESH_TOKEN_KEY = 'reddit_refresh_token';
-const TOKEN_EXPIRY_KEY = 'reddit_token_expiry';
-const USER_DATA_KEY = 'reddit_user_data';
+const OAUTH_BASE_URL = 'https://oauth.reddit.com';
+const MAX_SUBSCRIPTION_PAGES = 10;
+const ACCOUNTS_KEY = 'reddit_accounts';
+const ACTIVE_ACCOUNT_KEY = 'reddit_active_account';
+const AUTH_STATE_KEY = 'reddit_auth_state';
+const CODE_VERIFIER_KEY = 'reddit_code_verifier';
+const NEW_LOGIN_KEY = 'reddit_new_login';
+
+// Where a single-account login from older versions was kept
+const LEGACY_TOKEN_KEY = 'reddit_auth_token';
+const LEGACY_REFRESH_TOKEN_KEY = 'reddit_refresh_token';
+const LEGACY_TOKEN_EXPIRY_KEY = 'reddit_token_expiry';
+const LEGACY_USER_DATA_KEY = 'reddit_user_data';
+const LEGACY_TOKENS_ID = 'tokens';
+
+// Decrypted tokens ({ accessToken, refreshToken, expiresAt }) by account, loaded on first use
+const sessions = new Map();
+// Refreshes in flight by account
+const refreshes = new Map();
+
+/**
+ * Get the Reddit app used for login
+ * 
+ * The client ID comes from an "installed app" the user registers at
+ * reddit.com/prefs/apps; installed apps have no secret, so the code
+ * exchange is protected with PKCE instead.
+ * 
+ * @returns {Object} { clientId, redirectUri }
+ */
+function getAuthConfig() {
+    const config = loadAuthConfig({});
+    
+    return {
+        clientId: (config.clientId || '').trim(),
+        redirectUri: (config.redirectUri || '').trim() || getDefaultRedirectUri()
+    };
+}
+
+/**
+ * Get the callback page next to the current page, so subfolder installs work
+ * 
+ * @returns {string} Redirect URI
+ */
+function getDefaultRedirectUri() {
+    return new URL('auth-callback.html', window.location.href).href;
+}
+
+/**
+ * Save the Reddit app used for login
+ * 
+ * @param {Object} config - { clientId, redirectUri }; an empty redirect URI uses the default
+ */
+function setAuthConfig(config) {
+    const redirectUri = (config.redirectUri || '').trim();
+    
+    saveAuthConfig({
+        clientId: (config.clientId || '').trim(),
+        // Keep following the default if that's what was saved, in case the app moves
+        redirectUri: redirectUri === getDefaultRedirectUri() ? '' : redirectUri
+    });
+    
+    document.dispatchEvent(new CustomEvent('auth-config-changed', { detail: getAuthConfig() }));
+}
+
+/**
+ * Check whether a client ID has been set up
+ * 
+ * @returns {boolean} Whether login is possible
+ */
+function isAuthConfigured() {
+    return Boolean(getAuthConfig().clientId);
+}
+
+/**
+ * Get the logged-in accounts
+ * 
+ * Only names, profile data and token expiry are kept here; the tokens
+ * themselves are in the token store.
+ * 
+ * @returns {Array<Object>} Accounts ({ name, userData, expiresAt }) in the order they were added
+ */
+function getAccounts() {
+    try {
+        return JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Save the account list
+ * 
+ * @param {Array<Object>} accounts - Accounts
+ */
+function saveAccounts(accounts) {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+}
+
+/**
+ * Get the selected account
+ * 
+ * @returns {Object|null} Account or null if logged out
+ */
+function getActiveAccount() {
+    const name = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+    return getAccounts().find(account => account.name === name) || null;
+}
+
+/**
+ * Get the selected account's username
+ * 
+ * @returns {string|null} Username or null if logged out
+ */
+function getActiveAccountName() {
+    const account = getActiveAccount();
+    return account ? account.name : null;
+}
+
+/**
+ * Get the account that just finished logging in, once
+ * 
+ * The callback page redirects back to the app, so this is how the app tells a
+ * fresh login apart from a restored session or a switch.
+ * 
+ * @returns {string|null} Username, or null if there's no login to report
+ */
+function takeNewLogin() {
+    const name = localStorage.getItem(NEW_LOGIN_KEY);
+    localStorage.removeItem(NEW_LOGIN_KEY);
+    return name;
+}
+
+/**
+ * Select an account for everything that acts as the user
+ * 
+ * @param {string} name - Username of a logged-in account
+ * @returns {boolean} Whether the account exists
+ */
+function switchAccount(name) {
+    if (!getAccounts().some(account => account.name === name)) {
+        return false;
+    }
+    
+    if (name !== getActiveAccountName()) {
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, name);
+        broadcastTokenChange('switch');
+        notifyAccountChange();
+    }
+    
+    return true;
+}
+
+/**
+ * Tell this tab's UI that the selected account changed
+ */
+function notifyAccountChange() {
+    document.dispatchEvent(new CustomEvent('reddit-account-change', {
+        detail: { name: getActiveAccountName() }
+    }));
+}
 
 /**
  * Check if user is currently authenticated
  * 
+ * True while an account is selected; an expired access token is refreshed
+ * by getAccessToken when it's next needed.
+ * 
  * @returns {boolean} Authentication status
  */
 function isAuthenticated() {
-    const token = localStorage.getItem(TOKEN_KEY);
-    const expiry = localStorage.getItem(TOKEN_EXPIRY_KEY);
+    return Boolean(getActiveAccount());
+}
+
+/**
+ * Get the token store id for an account
+ * 
+ * @param {string} name - Username
+ * @returns {string} Record id
+ */
+function getTokenId(name) {
+    return `account:${name}`;
+}
+
+/**
+ * Get an account's tokens, loading them from the token store once
+ * 
+ * @param {string|null} name - Username, defaults to the selected account
+ * @returns {Promise<Object|null>} Tokens or null if the account isn't logged in
+ */
+function getSession(name = getActiveAccountName()) {
+    if (!name) {
+        return Promise.resolve(null);
+    }
     
-    if (!token || !expiry) {
-        return false;
+    if (!sessions.has(name)) {
+        sessions.set(name, loadSession(name));
     }
+    return sessions.get(name);
+}
+
+/**
+ * Load an account's tokens from the token store
+ * 
+ * @param {string} name - Username
+ * @returns {Promise<Object|null>} Tokens or null if the account isn't logged in
+ */
+async function loadSession(name) {
+    const account = getAccounts().find(a => a.name === name);
+    if (!account) return null;
     
-    // Check if token is expired
-    const expiryDate = new Date(parseInt(expiry, 10));
-    const now = new Date();
+    let tokens = await loadTokens(getTokenId(name));
     
-    if (now > expiryDate) {
-        // Token expired, try to refresh it
-        refreshAccessToken();
-        return false;
+    if (!tokens && account.legacy) {
+        tokens = await takeLegacyTokens(account);
+        if (tokens) {
+            await storeSession(name, tokens);
+        }
     }
     
-    return true;
+    // The account outlived its tokens (storage cleared or key lost), so it's logged out
+    if (!tokens) {
+        await endSession(name);
+    }
+    
+    return tokens;
+}
+
+/**
+ * Save an account's tokens
+ * 
+ * @param {string} name - Username
+ * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
+ * @returns {Promise<void>}
+ */
+async function storeSession(name, tokens) {
+    sessions.set(name, Promise.resolve(tokens));
+    await saveTokens(getTokenId(name), tokens);
+    
+    saveAccounts(getAccounts().map(account => account.name === name ?
+        { name, userData: account.userData, expiresAt: tokens.expiresAt } :
+        account));
+}
+
+/**
+ * Turn a token response into session tokens
+ * 
+ * @param {Object} data - Token endpoint response
+ * @param {string|null} refreshToken - Refresh token to keep if the response has none
+ * @returns {Object} { accessToken, refreshToken, expiresAt }
+ */
+function toSession(data, refreshToken = null) {
+    return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || refreshToken,
+        // Subtract 60 seconds for safety
+        expiresAt: Date.now() + (data.expires_in * 1000) - 60000
+    };
+}
+
+/**
+ * Forget an account in this tab and the others
+ * 
+ * If it was selected the next account is selected instead.
+ * 
+ * @param {string} name - Username
+ * @returns {Promise<void>}
+ */
+async function endSession(name) {
+    const wasActive = name === getActiveAccountName();
+    const remaining = getAccounts().filter(account => account.name !== name);
+    
+    sessions.set(name, Promise.resolve(null));
+    saveAccounts(remaining);
+    await clearTokens(getTokenId(name));
+    
+    broadcastTokenChange('logout');
+    
+    if (!wasActive) return;
+    
+    if (remaining.length > 0) {
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, remaining[0].name);
+    } else {
+        localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    }
+    
+    notifyAccountChange();
+    if (remaining.length === 0) {
+        document.dispatchEvent(new Event('reddit-logout'));
+    }
+}
+
+/**
+ * Turn a single-account login from an older version into an account
+ * 
+ * The tokens are moved over by loadSession when they're first needed.
+ */
+function migrateLegacyLogin() {
+    const userData = localStorage.getItem(LEGACY_USER_DATA_KEY);
+    if (!userData || localStorage.getItem(ACCOUNTS_KEY)) return;
+    
+    try {
+        const parsed = JSON.parse(userData);
+        saveAccounts([{
+            name: parsed.name,
+            userData: parsed,
+            expiresAt: parseInt(localStorage.getItem(LEGACY_TOKEN_EXPIRY_KEY), 10) || 0,
+            legacy: true
+        }]);
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, parsed.name);
+    } catch (e) {
+        console.warn('Could not migrate the previous login:', e);
+    }
+    
+    localStorage.removeItem(LEGACY_USER_DATA_KEY);
+    localStorage.removeItem(LEGACY_TOKEN_EXPIRY_KEY);
+}
+
+/**
+ * Take the tokens of a single-account login from an older version
+ * 
+ * They're either in plain localStorage or in the token store's one record.
+ * 
+ * @param {Object} account - Migrated account
+ * @returns {Promise<Object|null>} Tokens, or null if there were none
+ */
+async function takeLegacyTokens(account) {
+    const accessToken = localStorage.getItem(LEGACY_TOKEN_KEY);
+    
+    if (accessToken) {
+        const tokens = {
+            accessToken,
+            refreshToken: localStorage.getItem(LEGACY_REFRESH_TOKEN_KEY),
+            expiresAt: account.expiresAt
+        };
+        
+        localStorage.removeItem(LEGACY_TOKEN_KEY);
+        localStorage.removeItem(LEGACY_REFRESH_TOKEN_KEY);
+        return tokens;
+    }
+    
+    const tokens = await loadTokens(LEGACY_TOKENS_ID);
+    await clearTokens(LEGACY_TOKENS_ID);
+    return tokens;
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * 
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Create a random URL-safe string
+ * 
+ * @param {number} byteLength - Random bytes to use
+ * @returns {string} Random string
+ */
+function createRandomString(byteLength) {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Derive the S256 PKCE code challenge for a verifier
+ * 
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+async function createCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return base64UrlEncode(new Uint8Array(digest));
 }
 
 /**
  * Initiate Reddit OAuth authorization flow
+ * 
+ * @returns {Promise<void>} Resolves as the page navigates to Reddit
  */
-function initiateLogin() {
-    // Generate random state for security
-    const state = Math.random().toString(36).substring(2, 15);
-    localStorage.setItem('reddit_auth_state', state);
+async function initiateLogin() {
+    const { clientId, redirectUri } = getAuthConfig();
+    if (!clientId) {
+        throw new Error('Set a Reddit client ID before logging in');
+    }
+    
+    // State guards against CSRF; the verifier proves the callback is ours
+    const state = createRandomString(16);
+    const verifier = createRandomString(32);
+    localStorage.setItem(AUTH_STATE_KEY, state);
+    localStorage.setItem(CODE_VERIFIER_KEY, verifier);
     
     // Build authorization URL
-    const authUrl = new URL('https://www.reddit.com/api/v1/authorize');
-    authUrl.searchParams.append('client_id', CLIENT_ID);
+    const authUrl = new URL(AUTHORIZE_URL);
+    authUrl.searchParams.append('client_id', clientId);
     authUrl.searchParams.append('response_type', 'code');
     authUrl.searchParams.append('state', state);
-    authUrl.searchParams.append('redirect_uri', REDIRECT_URI);
+    authUrl.searchParams.append('redirect_uri', redirectUri);
     authUrl.searchParams.append('duration', AUTH_DURATION);
     authUrl.searchParams.append('scope', SCOPES.join(' '));
+    authUrl.searchParams.append('code_challenge', await createCodeChallenge(verifier));
+    authUrl.searchParams.append('code_challenge_method', 'S256');
     
     // Redirect to Reddit for authorization
     window.location.href = authUrl.toString();
@@ -66,17 +434,24 @@ function initiateLogin() {
  * @returns {Promise<boolean>} Success status
  */
 async function handleAuthCallback(urlParams) {
+    const savedState = localStorage.getItem(AUTH_STATE_KEY);
+    const verifier = localStorage.getItem(CODE_VERIFIER_KEY);
+    
+    // Single use, whatever happens next
+    localStorage.removeItem(AUTH_STATE_KEY);
+    localStorage.removeItem(CODE_VERIFIER_KEY);
+    
     // Check for errors
     const error = urlParams.get('error');
     if (error) {
-        throw new Error(`Authentication error: ${error}`);
+        throw new Error(error === 'access_denied' ?
+            'Access was denied on Reddit' :
+            `Authentication error: ${error}`);
     }
     
     // Verify state parameter to prevent CSRF
     const state = urlParams.get('state');
-    const savedState = localStorage.getItem('reddit_auth_state');
-    
-    if (!state || state !== savedState) {
+    if (!state || state !== savedState || !verifier) {
         throw new Error('State verification failed');
     }
     
@@ -88,22 +463,28 @@ async function handleAuthCallback(urlParams) {
     
     try {
         // Exchange code for token
-        const tokenResponse = await fetchAccessToken(code);
+        const tokens = toSession(await fetchAccessToken(code, verifier));
         
-        // Save tokens
-        localStorage.setItem(TOKEN_KEY, tokenResponse.access_token);
-        localStorage.setItem(REFRESH_TOKEN_KEY, tokenResponse.refresh_token);
+        // The new token tells us which account this is
+        const userData = await fetchUserData(tokens.accessToken);
         
-        // Calculate expiry time (subtract 60 seconds for safety)
-        const expiryTime = Date.now() + (tokenResponse.expires_in * 1000) - 60000;
-        localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
-        
-        // Clean up state
-        localStorage.removeItem('reddit_auth_state');
+        // Logging in to an account that's already here just renews it
+        const accounts = getAccounts();
+        const account = { name: userData.name, userData, expiresAt: tokens.expiresAt };
+        const index = accounts.findIndex(a => a.name === account.name);
+        if (index === -1) {
+            accounts.push(account);
+        } else {
+            accounts[index] = account;
+        }
+        saveAccounts(accounts);
         
-        // Fetch and store user data
-        await fetchAndStoreUserData();
+        await storeSession(account.name, tokens);
+        localStorage.setItem(ACTIVE_ACCOUNT_KEY, account.name);
+        localStorage.setItem(NEW_LOGIN_KEY, account.name);
         
+        broadcastTokenChange('login');
+        notifyAccountChange();
         return true;
     } catch (error) {
         console.error('Error exchanging code for token:', error);
@@ -111,86 +492,158 @@ async function handleAuthCallback(urlParams) {
     }
 }
 
+/**
+ * Post to Reddit's token endpoint as an installed app
+ * 
+ * Installed apps authenticate with their client ID and an empty secret.
+ * The endpoint allows cross-origin requests, so this goes straight to
+ * Reddit rather than through a CORS proxy that would see the tokens.
+ * 
+ * @param {Object} params - Form fields for the grant
+ * @returns {Promise<Object>} Token response
+ */
+async function requestToken(params) {
+    const { clientId } = getAuthConfig();
+    if (!clientId) {
+        throw new Error('No Reddit client ID configured');
+    }
+    
+    const response = await scheduledFetch(TOKEN_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': `Basic ${btoa(`${clientId}:`)}`
+        },
+        body: new URLSearchParams(params)
+    }, fetchWithTimeout);
+    
+    if (!response.ok) {
+        const error = new Error(`HTTP error ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    const data = await response.json();
+    
+    // Reddit reports grant errors with a 200 status
+    if (data.error) {
+        const error = new Error(`Token error: ${data.error}`);
+        error.code = data.error;
+        throw error;
+    }
+    
+    return data;
+}
+
 /**
  * Request new access token using refresh token
  * 
+ * Single-flight: callers in this tab share one request, and the token lock
+ * makes other tabs wait for it and reuse the result. Reddit may rotate the
+ * refresh token, so redeeming it twice could end the session.
+ * 
+ * @param {string|null} name - Username, defaults to the selected account
  * @returns {Promise<boolean>} Success status
  */
-async function refreshAccessToken() {
-    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+function refreshAccessToken(name = getActiveAccountName()) {
+    if (!name) {
+        return Promise.resolve(false);
+    }
     
-    if (!refreshToken) {
-        return false;
+    if (!refreshes.has(name)) {
+        refreshes.set(name, runRefresh(name).finally(() => {
+            refreshes.delete(name);
+        }));
     }
+    return refreshes.get(name);
+}
+
+/**
+ * Refresh an account's access token under the token lock
+ * 
+ * @param {string} name - Username
+ * @returns {Promise<boolean>} Success status
+ */
+async function runRefresh(name) {
+    const stale = await getSession(name);
     
-    try {
-        const response = await fetch('https://corsproxy.io/?https://www.reddit.com/api/v1/access_token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Authorization': `Basic ${btoa(`${CLIENT_ID}:`)}`
-            },
-            body: new URLSearchParams({
-                'grant_type': 'refresh_token',
-                'refresh_token': refreshToken
-            })
-        });
+    const outcome = await withTokenLock(getTokenId(name), async () => {
+        // Another tab may have refreshed while this one waited
+        sessions.delete(name);
+        const tokens = await getSession(name);
         
-        if (!response.ok) {
-            throw new Error(`HTTP error ${response.status}`);
+        if (!tokens || !tokens.refreshToken) {
+            return false;
+        }
+        if (stale && tokens.accessToken !== stale.accessToken) {
+            return true;
         }
         
-        const data = await response.json();
-        
-        // Update stored token and expiry
-        localStorage.setItem(TOKEN_KEY, data.access_token);
-        const expiryTime = Date.now() + (data.expires_in * 1000) - 60000;
-        localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
-        
-        return true;
-    } catch (error) {
-        console.error('Error refreshing token:', error);
-        return false;
+        try {
+            const data = await requestToken({
+                'grant_type': 'refresh_token',
+                'refresh_token': tokens.refreshToken
+            });
+            
+            await storeSession(name, toSession(data, tokens.refreshToken));
+            broadcastTokenChange('refresh');
+            return true;
+        } catch (error) {
+            console.error('Error refreshing token:', error);
+            
+            // Reddit no longer accepts the refresh token, so the account is logged out
+            if (error.code === 'invalid_grant' || error.status === 400 || error.status === 401) {
+                await endSession(name);
+            }
+            
+            return false;
+        }
+    });
+    
+    if (outcome.ran) {
+        return outcome.result;
     }
+    
+    // The other tab saved its result to the store
+    sessions.delete(name);
+    const tokens = await getSession(name);
+    return Boolean(tokens) && Date.now() < tokens.expiresAt;
 }
 
 /**
  * Exchange authorization code for access token
  * 
  * @param {string} code - Authorization code
+ * @param {string} verifier - PKCE code verifier from initiateLogin
  * @returns {Promise<Object>} Token response
  */
-async function fetchAccessToken(code) {
-    const response = await fetch('https://corsproxy.io/?https://www.reddit.com/api/v1/access_token', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Authorization': `Basic ${btoa(`${CLIENT_ID}:`)}`
-        },
-        body: new URLSearchParams({
-            'grant_type': 'authorization_code',
-            'code': code,
-            'redirect_uri': REDIRECT_URI
-        })
+async function fetchAccessToken(code, verifier) {
+    return requestToken({
+        'grant_type': 'authorization_code',
+        'code': code,
+        'redirect_uri': getAuthConfig().redirectUri,
+        'code_verifier': verifier
     });
-    
-    if (!response.ok) {
-        throw new Error(`HTTP error ${response.status}`);
-    }
-    
-    return response.json();
 }
 
 /**
- * Fetch and store user data
+ * Fetch the profile of the account a token belongs to
  * 
+ * @param {string} accessToken - Access token
  * @returns {Promise<Object>} User data
  */
-async function fetchAndStoreUserData() {
+async function fetchUserData(accessToken) {
     try {
-        const userData = await fetchRedditApi('/api/v1/me');
-        localStorage.setItem(USER_DATA_KEY, JSON.stringify(userData));
-        return userData;
+        // Straight to Reddit, like requestToken - the token must never pass through a proxy
+        const response = await scheduledFetch(`${OAUTH_BASE_URL}/api/v1/me`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        }, fetchWithTimeout);
+        
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        
+        return response.json();
     } catch (error) {
         console.error('Error fetching user data:', error);
         throw error;
@@ -200,15 +653,31 @@ async function fetchAndStoreUserData() {
 /**
  * Get current user data
  * 
- * @returns {Object|null} User data or null if not authenticated
+ * @returns {Object|null} Selected account's user data or null if not authenticated
  */
 function getUserData() {
-    if (!isAuthenticated()) {
+    const account = getActiveAccount();
+    return account ? account.userData : null;
+}
+
+/**
+ * Get an access token, refreshing it first if it has expired
+ * 
+ * @param {string|null} name - Username, defaults to the selected account
+ * @returns {Promise<string|null>} Access token or null if not authenticated
+ */
+async function getAccessToken(name = getActiveAccountName()) {
+    if (!name) {
         return null;
     }
     
-    const userData = localStorage.getItem(USER_DATA_KEY);
-    return userData ? JSON.parse(userData) : null;
+    let tokens = await getSession(name);
+    if (tokens && Date.now() >= tokens.expiresAt) {
+        await refreshAccessToken(name);
+        tokens = await getSession(name);
+    }
+    
+    return tokens && Date.now() < tokens.expiresAt ? tokens.accessToken : null;
 }
 
 /**
@@ -216,16 +685,17 @@ function getUserData() {
  * 
  * @param {string} endpoint - API endpoint
  * @param {Object} options - Fetch options
+ * @param {string|null} account - Username to act as, defaults to the selected account
  * @returns {Promise<any>} API response
  */
-async function fetchRedditApi(endpoint, options = {}) {
-    if (!isAuthenticated()) {
+async function fetchRedditApi(endpoint, options = {}, account = getActiveAccountName()) {
+    // Get access token
+    const token = await getAccessToken(account);
+    
+    if (!token) {
         throw new Error('User not authenticated');
     }
     
-    // Get access token
-    const token = localStorage.getItem(TOKEN_KEY);
-    
     // Default options
     const defaultOptions = {
         headers: {
@@ -244,35 +714,34 @@ async function fetchRedditApi(endpoint, options = {}) {
         }
     };
     
-    // Add CORS proxy to the URL if needed
-    const baseUrl = 'https://oauth.reddit.com';
-    let url = endpoint.startsWith('http') ? endpoint : `${baseUrl}${endpoint}`;
+    const url = endpoint.startsWith('http') ? endpoint : `${OAUTH_BASE_URL}${endpoint}`;
     
-    // Use CORS proxy for cross-origin requests
-    if (!url.includes('corsproxy.io')) {
-        url = `https://corsproxy.io/?${encodeURIComponent(url)}`;
-    }
-    
-    const response = await fetch(url, fetchOptions);
+    // Queued like every Reddit call, but always sent straight to oauth.reddit.com
+    // (which allows CORS) so the bearer token never passes through a proxy
+    const response = await scheduledFetch(url, fetchOptions, fetchWithTimeout);
     
     if (!response.ok) {
         // Handle 401 Unauthorized by refreshing token and retrying
         if (response.status === 401) {
-            const refreshed = await refreshAccessToken();
+            const refreshed = await refreshAccessToken(account);
             if (refreshed) {
                 // Update token in headers and retry
-                fetchOptions.headers.Authorization = `Bearer ${localStorage.getItem(TOKEN_KEY)}`;
-                const retryResponse = await fetch(url, fetchOptions);
+                fetchOptions.headers.Authorization = `Bearer ${await getAccessToken(account)}`;
+                const retryResponse = await scheduledFetch(url, fetchOptions, fetchWithTimeout);
                 
                 if (!retryResponse.ok) {
-                    throw new Error(`API error: ${retryResponse.status}`);
+                    const error = new Error(`API error: ${retryResponse.status}`);
+                    error.status = retryResponse.status;
+                    throw error;
                 }
                 
                 return retryResponse.json();
             }
         }
         
-        throw new Error(`API error: ${response.status}`);
+        const error = new Error(`API error: ${response.status}`);
+        error.status = response.status;
+        throw error;
     }
     
     return response.json();
@@ -281,40 +750,76 @@ async function fetchRedditApi(endpoint, options = {}) {
 /**
  * Get user's subscribed subreddits
  * 
+ * @param {string|null} account - Username, defaults to the selected account
  * @returns {Promise<Array>} List of subreddits
  */
-async function getSubscribedSubreddits() {
+async function getSubscribedSubreddits(account = getActiveAccountName()) {
     try {
-        const response = await fetchRedditApi('/subreddits/mine/subscriber?limit=100');
-        return response.data.children.map(child => ({
-            name: child.data.display_name,
-            subscribers: child.data.subscribers,
-            description: child.data.public_description,
-            iconUrl: child.data.icon_img || child.data.community_icon || null,
-            nsfw: child.data.over18
-        }));
+        const subreddits = [];
+        let after = null;
+        
+        // Reddit returns at most 100 a page
+        for (let page = 0; page < MAX_SUBSCRIPTION_PAGES; page++) {
+            const query = after ? `&after=${after}` : '';
+            const response = await fetchRedditApi(`/subreddits/mine/subscriber?limit=100${query}`, {}, account);
+            
+            subreddits.push(...response.data.children.map(child => ({
+                name: child.data.display_name,
+                subscribers: child.data.subscribers,
+                description: child.data.public_description,
+                iconUrl: child.data.icon_img || child.data.community_icon || null,
+                nsfw: child.data.over18
+            })));
+            
+            after = response.data.after;
+            if (!after) break;
+        }
+        
+        return subreddits;
     } catch (error) {
         console.error('Error fetching subscribed subreddits:', error);
         throw error;
     }
 }
 
+/**
+ * Get the multireddits the user owns
+ * 
+ * @param {string|null} account - Username, defaults to the selected account
+ * @returns {Promise<Array>} List of multireddits with their source string and member subreddits
+ */
+async function getMultireddits(account = getActiveAccountName()) {
+    try {
+        const response = await fetchRedditApi('/api/multi/mine', {}, account);
+        return response
+            .map(multi => ({
+                source: parseSource(multi.data.path),
+                title: multi.data.display_name || multi.data.name,
+                subreddits: (multi.data.subreddits || []).map(sub => sub.name),
+                nsfw: multi.data.over_18 || false
+            }))
+            .filter(multi => multi.source);
+    } catch (error) {
+        console.error('Error fetching multireddits:', error);
+        throw error;
+    }
+}
+
 /**
  * Get user's saved posts
  * 
+ * @param {string|null} account - Username, defaults to the selected account
  * @returns {Promise<Array>} List of saved posts
  */
-async function getSavedPosts() {
+async function getSavedPosts(account = getActiveAccountName()) {
     try {
-        const userData = getUserData();
-        if (!userData) {
+        if (!account) {
             throw new Error('User not authenticated');
         }
         
-        const response = await fetchRedditApi(`/user/${userData.name}/saved?limit=100`);
-        return response.data.children
-            .filter(child => child.kind === 't3' && isVideoPost(child.data))
-            .map(formatRedditPost);
+        const response = await fetchRedditApi(`/user/${account}/saved?limit=100`, {}, account);
+        return normalizeListing(response.data.children)
+            .map(video => ({ ...video, saved: true }));
     } catch (error) {
         console.error('Error fetching saved posts:', error);
         throw error;
@@ -322,89 +827,96 @@ async function getSavedPosts() {
 }
 
 /**
- * Check if a post contains video content
+ * Logout user
+ * 
+ * The account is removed locally straight away; its tokens are then revoked
+ * so they stop working on Reddit too. Other accounts stay logged in.
  * 
- * @param {Object} post - Reddit post data
- * @returns {boolean} - Is video post
+ * @param {string|null} name - Username, defaults to the selected account
+ * @returns {Promise<void>}
  */
-function isVideoPost(post) {
-    return post.is_video || 
-           (post.domain && (
-               post.domain.includes('youtube.com') || 
-               post.domain.includes('youtu.be') ||
-               post.domain.includes('redgifs.com') ||
-               post.domain.includes('gfycat.com')
-           )) ||
-           (post.secure_media && post.secure_media.oembed) ||
-           (post.url && (
-               post.url.endsWith('.gif') ||
-               post.url.endsWith('.gifv') ||
-               post.url.endsWith('.mp4')
-           ));
+async function logout(name = getActiveAccountName()) {
+    if (!name) return;
+    
+    const tokens = await getSession(name);
+    
+    // Dispatches the account change (and logout, if it was the last account) events
+    await endSession(name);
+    
+    if (tokens) {
+        await revokeTokens(tokens);
+    }
 }
 
 /**
- * Format Reddit post data for use in the app
+ * Revoke a session's tokens on Reddit
+ * 
+ * Revoking the refresh token also revokes the access tokens issued with it;
+ * the access token is revoked too in case there's no refresh token.
  * 
- * @param {Object} post - Reddit post data
- * @returns {Object} - Formatted post data
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {Promise<void>}
  */
-function formatRedditPost(post) {
-    const data = post.data;
-    const isRedditVideo = data.is_video && data.media && data.media.reddit_video;
+async function revokeTokens(tokens) {
+    const { clientId } = getAuthConfig();
+    if (!clientId) return;
     
-    let thumbnailUrl;
-    if (data.preview && data.preview.images && data.preview.images[0]) {
-        const previews = data.preview.images[0].resolutions || [];
-        const mediumPreview = previews.find(p => p.width >= 640) || 
-                             previews[previews.length - 1];
-        
-        thumbnailUrl = mediumPreview ? 
-            mediumPreview.url.replace(/&amp;/g, '&') : 
-            data.preview.images[0].source.url.replace(/&amp;/g, '&');
-    } else if (data.thumbnail && data.thumbnail !== 'self' && data.thumbnail !== 'default') {
-        thumbnailUrl = data.thumbnail;
-    } else {
-        thumbnailUrl = 'https://www.redditstatic.com/mweb2x/img/camera.png'; // Fallback
-    }
+    const toRevoke = [
+        ['refresh_token', tokens.refreshToken],
+        ['access_token', tokens.accessToken]
+    ].filter(([, token]) => token);
     
-    // Extract audio URL for Reddit videos
-    let audioUrl = null;
-    if (isRedditVideo && data.media.reddit_video.fallback_url) {
-        const videoBaseUrl = data.media.reddit_video.fallback_url.split('DASH_')[0];
-        audioUrl = `${videoBaseUrl}DASH_audio.mp4`;
+    for (const [hint, token] of toRevoke) {
+        try {
+            await scheduledFetch(REVOKE_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Authorization': `Basic ${btoa(`${clientId}:`)}`
+                },
+                body: new URLSearchParams({ token, 'token_type_hint': hint })
+            }, fetchWithTimeout);
+        } catch (error) {
+            console.warn(`Could not revoke ${hint}:`, error);
+        }
     }
-    
-    return {
-        id: data.id,
-        title: data.title,
-        subreddit: data.subreddit,
-        url: data.url,
-        thumbnail: thumbnailUrl,
-        upvotes: data.ups,
-        comments: data.num_comments,
-        created: new Date(data.created_utc * 1000).toLocaleDateString(),
-        isVideo: true,
-        isReddit: isRedditVideo,
-        fallbackUrl: isRedditVideo ? data.media.reddit_video.fallback_url : null,
-        audioUrl: audioUrl,
-        permalink: data.permalink,
-        author: data.author,
-        saved: true
-    };
 }
 
 /**
- * Logout user
+ * Subscribe to or unsubscribe from subreddits
+ * 
+ * @param {string|Array<string>} names - Subreddit name or names
+ * @param {boolean} subscribe - Whether to subscribe or unsubscribe
+ * @param {string|null} account - Username to act as, defaults to the selected account
+ * @returns {Promise<void>}
  */
-function logout() {
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(REFRESH_TOKEN_KEY);
-    localStorage.removeItem(TOKEN_EXPIRY_KEY);
-    localStorage.removeItem(USER_DATA_KEY);
+async function setSubscription(names, subscribe = true, account = getActiveAccountName()) {
+    if (!account) {
+        throw new Error('User not authenticated');
+    }
+    
+    const params = new URLSearchParams({
+        action: subscribe ? 'sub' : 'unsub',
+        sr_name: [].concat(names).join(',')
+    });
     
-    // Dispatch logout event
-    document.dispatchEvent(new Event('reddit-logout'));
+    // Stop Reddit adding its default subreddits to an account that had none
+    if (subscribe) {
+        params.append('skip_initial_defaults', 'true');
+    }
+    
+    try {
+        await fetchRedditApi('/api/subscribe', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        }, account);
+    } catch (error) {
+        console.error(`Error ${subscribe ? 'subscribing to' : 'unsubscribing from'} ${params.get('sr_name')}:`, error);
+        throw error;
+    }
 }
 
 /**
@@ -412,10 +924,11 @@ function logout() {
  * 
  * @param {string} fullname - Full name of post (t3_postid)
  * @param {boolean} save - Whether to save or unsave
+ * @param {string|null} account - Username to act as, defaults to the selected account
  * @returns {Promise<boolean>} Success status
  */
-async function savePost(fullname, save = true) {
-    if (!isAuthenticated()) {
+async function savePost(fullname, save = true, account = getActiveAccountName()) {
+    if (!account) {
         throw new Error('User not authenticated');
     }
     
@@ -429,7 +942,7 @@ async function savePost(fullname, save = true) {
             body: new URLSearchParams({
                 id: fullname.startsWith('t3_') ? fullname : `t3_${fullname}`
             })
-        });
+        }, account);
         
         return true;
     } catch (error) {
@@ -444,37 +957,69 @@ async function savePost(fullname, save = true) {
 function initAuth() {
     // Check URL for auth callback
     const urlParams = new URLSearchParams(window.location.search);
+    // (for a redirect URI that points at the app page instead of auth-callback.html)
     if (urlParams.has('code') && urlParams.has('state')) {
-        handleAuthCallback(urlParams).then(success => {
-            if (success) {
-                // Redirect to main page
-                window.location.href = window.location.origin;
-            }
-        });
+        handleAuthCallback(urlParams)
+            .then(success => {
+                if (success) {
+                    // Reload without the code in the address bar
+                    window.location.replace(window.location.pathname);
+                }
+            })
+            .catch(error => console.error('Login failed:', error));
     }
     
-    // Auto-refresh token when needed
+    // Auto-refresh the selected account's token when needed; others refresh when used
     setInterval(() => {
-        const expiry = localStorage.getItem(TOKEN_EXPIRY_KEY);
-        if (!expiry) return;
+        const account = getActiveAccount();
+        if (!account) return;
         
-        const expiryDate = new Date(parseInt(expiry, 10));
+        const expiryDate = new Date(account.expiresAt);
         const now = new Date();
         const timeUntilExpiry = expiryDate.getTime() - now.getTime();
         
-        // Refresh if token expires in less than 5 minutes
+        // Refresh if token expires in less than 5 minutes (shares any refresh already running)
         if (timeUntilExpiry < 300000 && timeUntilExpiry > 0) {
             refreshAccessToken();
         }
     }, 60000); // Check every minute
 }
 
+// Let the transport make direct oauth.reddit.com requests for logged-in users
+setTokenProvider(getAccessToken);
+
+// Accounts saved by older versions
+migrateLegacyLogin();
+
+// Other tabs logged in, refreshed, switched or logged out - reload the tokens when next needed
+onTokenChange(message => {
+    sessions.clear();
+    
+    if (message.type === 'refresh') return;
+    
+    notifyAccountChange();
+    if (message.type === 'logout' && !isAuthenticated()) {
+        document.dispatchEvent(new Event('reddit-logout'));
+    }
+});
+
 export {
     isAuthenticated,
+    getAccounts,
+    getActiveAccountName,
+    takeNewLogin,
+    switchAccount,
+    getAuthConfig,
+    setAuthConfig,
+    isAuthConfigured,
+    getAccessToken,
     initiateLogin,
+    handleAuthCallback,
     logout,
     getUserData,
     getSubscribedSubreddits,
+    setSubscription,
+    getMultireddits,
     getSavedPosts,
     savePost,
     fetchRedditApi,
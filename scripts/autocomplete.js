@@ -0,0 +1,245 @@
+/**
+ * autocomplete.js - Subreddit suggestions for the quick-add box
+ *
+ * Suggestions are fetched as the user types (debounced), shown in a list
+ * below the input and can be picked with the mouse or the arrow keys and
+ * Enter. The list is attached to the body with fixed positioning so the
+ * horizontally scrolling subreddit bar can't clip it.
+ */
+import { fetchSubredditSuggestions } from './api.js';
+import { getNsfwMode } from './providers.js';
+import { formatCount } from './ui.js';
+
+const DEBOUNCE_DELAY = 250;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Add subreddit suggestions to an input
+ *
+ * @param {HTMLInputElement} input - Text input to complete
+ * @param {function(string)} onSelect - Called with the chosen subreddit name
+ */
+function initSubredditAutocomplete(input, onSelect) {
+    if (!input) return;
+
+    const list = document.createElement('ul');
+    list.id = `${input.id}-suggestions`;
+    list.className = 'autocomplete-list';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    document.body.appendChild(list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    let suggestions = [];
+    let activeIndex = -1;
+    let debounceTimer = null;
+    let controller = null;
+
+    const close = () => {
+        clearTimeout(debounceTimer);
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+
+        suggestions = [];
+        activeIndex = -1;
+        list.hidden = true;
+        list.innerHTML = '';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    const choose = (index) => {
+        const suggestion = suggestions[index];
+        if (!suggestion) return;
+
+        close();
+        input.value = suggestion.name;
+        onSelect(suggestion.name);
+    };
+
+    const setActive = (index) => {
+        activeIndex = index;
+
+        list.querySelectorAll('.autocomplete-item').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive);
+
+            if (isActive) {
+                input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        if (index === -1) {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    const render = () => {
+        list.innerHTML = '';
+
+        if (suggestions.length === 0) {
+            close();
+            return;
+        }
+
+        suggestions.forEach((suggestion, index) => {
+            list.appendChild(createSuggestionItem(suggestion, `${list.id}-${index}`, () => choose(index)));
+        });
+
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        activeIndex = -1;
+
+        // Positioned after showing so its width is known and it stays on screen
+        const rect = input.getBoundingClientRect();
+        list.style.top = `${rect.bottom + 4}px`;
+        list.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - list.offsetWidth - 8))}px`;
+    };
+
+    const update = async () => {
+        const query = input.value.trim().replace(/^\/?r\//i, '');
+
+        // Profiles, multis and URLs aren't subreddit names - leave them to quick add
+        if (query.length < MIN_QUERY_LENGTH || /[^\w]/.test(query)) {
+            close();
+            return;
+        }
+
+        if (controller) controller.abort();
+        controller = new AbortController();
+        const { signal } = controller;
+
+        try {
+            const results = await fetchSubredditSuggestions(query, {
+                includeNsfw: getNsfwMode() !== 'hide',
+                signal
+            });
+
+            // The input may have changed while this was loading
+            if (signal.aborted) return;
+
+            suggestions = results;
+            render();
+        } catch (error) {
+            if (!signal.aborted) {
+                console.warn('Subreddit suggestions unavailable:', error.message);
+                close();
+            }
+        }
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(update, DEBOUNCE_DELAY);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (list.hidden) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive((activeIndex + 1) % suggestions.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                if (activeIndex !== -1) {
+                    // Also stops the keypress that would quick-add the typed text
+                    e.preventDefault();
+                    choose(activeIndex);
+                } else {
+                    close();
+                }
+                break;
+            case 'Escape':
+                e.preventDefault();
+                close();
+                break;
+        }
+    });
+
+    input.addEventListener('blur', close);
+    window.addEventListener('resize', close);
+
+    // The list doesn't follow the input when the bar scrolls, so close it instead
+    const bar = document.getElementById('subreddit-bar');
+    if (bar) {
+        bar.addEventListener('scroll', close);
+    }
+}
+
+/**
+ * Create one row of the suggestion list
+ *
+ * @param {Object} suggestion - Suggestion from fetchSubredditSuggestions
+ * @param {string} id - Element id
+ * @param {function} onChoose - Called when the row is picked
+ * @returns {HTMLElement} - List item
+ */
+function createSuggestionItem(suggestion, id, onChoose) {
+    const item = document.createElement('li');
+    item.id = id;
+    item.className = 'autocomplete-item';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+
+    if (suggestion.iconUrl) {
+        const icon = document.createElement('img');
+        icon.className = 'autocomplete-icon';
+        icon.src = suggestion.iconUrl;
+        icon.alt = '';
+        icon.loading = 'lazy';
+        item.appendChild(icon);
+    } else {
+        const placeholder = document.createElement('span');
+        placeholder.className = 'autocomplete-icon placeholder';
+        placeholder.textContent = suggestion.name.charAt(0).toUpperCase();
+        item.appendChild(placeholder);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'autocomplete-text';
+
+    const name = document.createElement('span');
+    name.className = 'autocomplete-name';
+    name.textContent = `r/${suggestion.name}`;
+    text.appendChild(name);
+
+    const meta = document.createElement('span');
+    meta.className = 'autocomplete-meta';
+    meta.textContent = `${formatCount(suggestion.subscribers)} members`;
+    text.appendChild(meta);
+
+    item.appendChild(text);
+
+    if (suggestion.nsfw) {
+        const badge = document.createElement('span');
+        badge.className = 'autocomplete-nsfw';
+        badge.textContent = 'NSFW';
+        item.appendChild(badge);
+    }
+
+    // mousedown keeps focus in the input, so blur doesn't close the list first
+    item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        onChoose();
+    });
+
+    return item;
+}
+
+export {
+    initSubredditAutocomplete
+};
\ No newline at end of file
@@ -0,0 +1,276 @@
+/**
+ * cache.js - Persistent API response cache backed by IndexedDB
+ *
+ * Entries have their own TTL and are evicted least-recently-used first once
+ * the cache grows past its size budget. Expired entries are kept for a while
+ * so callers can paint stale data instantly and revalidate in the background.
+ * An in-memory layer sits in front of IndexedDB and is used on its own when
+ * IndexedDB isn't available (e.g. some private browsing modes).
+ */
+
+// Configuration
+const DB_NAME = 'reddit-video-gallery';
+const DB_VERSION = 1;
+const STORE_NAME = 'apiCache';
+const MAX_CACHE_BYTES = 5 * 1024 * 1024; // ~5 MB of serialized responses
+const MAX_STALE_AGE = 7 * 24 * 60 * 60 * 1000; // Drop entries a week after they expire
+const MAX_MEMORY_ENTRIES = 100;
+
+// Map iteration order doubles as the memory layer's LRU order
+const memoryCache = new Map();
+let dbPromise = null;
+let budgetTimer = null;
+
+/**
+ * Cache entry structure
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key
+ * @property {*} value - Cached value (must be structured-cloneable)
+ * @property {number} size - Approximate size in bytes
+ * @property {number} created - Creation timestamp
+ * @property {number} expires - Expiry timestamp
+ * @property {number} accessed - Last access timestamp (drives LRU eviction)
+ */
+
+/**
+ * Open (once) the cache database
+ *
+ * @returns {Promise<IDBDatabase>} - Database connection
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('accessed', 'accessed');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Cache database blocked'));
+    }).catch(error => {
+        console.warn('Persistent cache unavailable, using memory only:', error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a request against the cache store
+ *
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function(IDBObjectStore): IDBRequest} action - Builds the request
+ * @returns {Promise<*>} - Request result (undefined without IndexedDB)
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    if (!db) return undefined;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Put an entry in the memory layer, evicting the least recently used one if full
+ *
+ * @param {CacheEntry} entry - Cache entry
+ */
+function rememberEntry(entry) {
+    memoryCache.delete(entry.key);
+    memoryCache.set(entry.key, entry);
+
+    if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Get a cached value
+ *
+ * @param {string} key - Cache key
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.allowStale - Also return expired entries
+ * @returns {Promise<Object|null>} - { value, fresh, age } or null on a miss
+ */
+async function cacheGet(key, { allowStale = false } = {}) {
+    let entry = memoryCache.get(key);
+
+    if (!entry) {
+        try {
+            entry = await withStore('readonly', store => store.get(key));
+        } catch (error) {
+            console.warn(`Cache read failed (${key}):`, error);
+        }
+    }
+
+    if (!entry) return null;
+
+    const now = Date.now();
+    const fresh = now < entry.expires;
+
+    if (!fresh && (!allowStale || now > entry.expires + MAX_STALE_AGE)) {
+        return null;
+    }
+
+    // Record the access for LRU eviction
+    entry = { ...entry, accessed: now };
+    rememberEntry(entry);
+    withStore('readwrite', store => store.put(entry)).catch(() => {});
+
+    return {
+        value: entry.value,
+        fresh,
+        age: now - entry.created
+    };
+}
+
+/**
+ * Store a value in the cache
+ *
+ * @param {string} key - Cache key
+ * @param {*} value - Value to store (must be JSON-serializable)
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {Promise<void>}
+ */
+async function cacheSet(key, value, ttl) {
+    const now = Date.now();
+    let size = 0;
+
+    try {
+        size = JSON.stringify(value).length * 2; // UTF-16 estimate
+    } catch (e) {
+        console.warn(`Could not measure cache entry (${key}):`, e);
+    }
+
+    const entry = {
+        key,
+        value,
+        size,
+        created: now,
+        expires: now + ttl,
+        accessed: now
+    };
+
+    rememberEntry(entry);
+
+    try {
+        await withStore('readwrite', store => store.put(entry));
+        scheduleBudgetCheck();
+    } catch (error) {
+        console.warn(`Cache write failed (${key}):`, error);
+    }
+}
+
+/**
+ * Remove a cached value
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<void>}
+ */
+async function cacheDelete(key) {
+    memoryCache.delete(key);
+
+    try {
+        await withStore('readwrite', store => store.delete(key));
+    } catch (error) {
+        console.warn(`Cache delete failed (${key}):`, error);
+    }
+}
+
+/**
+ * Remove every cached value
+ *
+ * @returns {Promise<void>}
+ */
+async function cacheClear() {
+    memoryCache.clear();
+
+    try {
+        await withStore('readwrite', store => store.clear());
+    } catch (error) {
+        console.warn('Cache clear failed:', error);
+    }
+}
+
+/**
+ * Check the size budget shortly after writes, batching bursts of them
+ */
+function scheduleBudgetCheck() {
+    clearTimeout(budgetTimer);
+    budgetTimer = setTimeout(() => {
+        enforceBudget().catch(error => console.warn('Cache eviction failed:', error));
+    }, 1000);
+}
+
+/**
+ * Evict long-expired entries, then least recently used ones until under budget
+ *
+ * @returns {Promise<number>} - Number of entries evicted
+ */
+async function enforceBudget() {
+    const db = await openDatabase();
+    if (!db) return 0;
+
+    // Walk entries from least to most recently used
+    const entries = await new Promise((resolve, reject) => {
+        const results = [];
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        const request = transaction.objectStore(STORE_NAME).index('accessed').openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                const { key, size, expires } = cursor.value;
+                results.push({ key, size, expires });
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = () => resolve(results);
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    const now = Date.now();
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const toEvict = [];
+
+    entries.forEach(entry => {
+        if (now > entry.expires + MAX_STALE_AGE || totalSize > MAX_CACHE_BYTES) {
+            toEvict.push(entry.key);
+            totalSize -= entry.size;
+        }
+    });
+
+    if (toEvict.length > 0) {
+        await withStore('readwrite', store => {
+            toEvict.forEach(key => store.delete(key));
+            return null;
+        });
+        toEvict.forEach(key => memoryCache.delete(key));
+    }
+
+    return toEvict.length;
+}
+
+export {
+    cacheGet,
+    cacheSet,
+    cacheDelete,
+    cacheClear
+};
\ No newline at end of file
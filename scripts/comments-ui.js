@@ -0,0 +1,489 @@
+/**
+ * comments-ui.js - Collapsible comment thread for the lightbox
+ *
+ * Threads are loaded when the panel is first opened. Comment bodies come
+ * from Reddit's body_html, which is parsed into an inert document and
+ * rebuilt from an allowlist of tags and attributes, so nothing Reddit (or a
+ * commenter) sends is ever inserted as raw HTML.
+ *
+ * When the lightbox is playing something seekable, timestamps like "0:42"
+ * or "1:02:03" in comment text become links that seek the player.
+ */
+import { COMMENT_SORTS, fetchComments, fetchMoreComments } from './api.js';
+import { saveCommentSort, loadCommentSort } from './storage.js';
+import { formatCount, createAuthorLink } from './ui.js';
+import { formatTimeAgo } from './profile-ui.js';
+import { canSeekCurrentVideo, seekCurrentVideo } from './video.js';
+
+// Tags kept from comment HTML; anything else is replaced by its text
+const ALLOWED_TAGS = new Set([
+    'P', 'BR', 'HR', 'A', 'EM', 'I', 'STRONG', 'B', 'DEL', 'S', 'SUP', 'SUB',
+    'CODE', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'SPAN',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'
+]);
+
+// Elements whose content is dropped along with the element
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE']);
+
+// Text inside these is left alone when linking timestamps
+const NO_TIMESTAMP_TAGS = new Set(['A', 'CODE', 'PRE']);
+
+// m:ss or h:mm:ss, but not part of a longer run of digits and colons
+const TIMESTAMP_PATTERN = /(^|[^\d:])((?:(\d{1,2}):)?(\d{1,2}):(\d{2}))(?![\d:])/g;
+
+// Stays open across lightbox navigation once the user opens it
+let commentsOpen = false;
+
+/**
+ * Create the comments toggle and panel for a post
+ *
+ * @param {Object} item - Video data
+ * @returns {HTMLElement} - Comments section element
+ */
+function createCommentsSection(item) {
+    const section = document.createElement('div');
+    section.className = 'lightbox-comments';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'comments-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+
+    const panel = document.createElement('div');
+    panel.className = 'comments-panel';
+    panel.id = `comments-${item.id}`;
+    panel.hidden = true;
+    toggle.setAttribute('aria-controls', panel.id);
+
+    const updateToggle = () => {
+        const count = typeof item.comments === 'number' ? ` (${formatCount(item.comments)})` : '';
+        toggle.textContent = `${panel.hidden ? 'Show' : 'Hide'} comments${count}`;
+        toggle.setAttribute('aria-expanded', !panel.hidden);
+    };
+
+    let loaded = false;
+    const setOpen = (open) => {
+        panel.hidden = !open;
+        updateToggle();
+
+        if (open && !loaded) {
+            loaded = true;
+            renderPanel(panel, item);
+        }
+    };
+
+    toggle.addEventListener('click', () => {
+        commentsOpen = panel.hidden;
+        setOpen(commentsOpen);
+    });
+
+    section.appendChild(toggle);
+    section.appendChild(panel);
+    setOpen(commentsOpen && Boolean(item.permalink));
+
+    return section;
+}
+
+/**
+ * Build the sort selector and load the thread into a panel
+ *
+ * @param {HTMLElement} panel - Comments panel
+ * @param {Object} item - Video data
+ */
+function renderPanel(panel, item) {
+    panel.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'comments-controls';
+
+    const label = document.createElement('label');
+    label.textContent = 'Sort by ';
+
+    const select = document.createElement('select');
+    select.className = 'comments-sort';
+    const currentSort = loadCommentSort('confidence');
+    Object.entries(COMMENT_SORTS).forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === currentSort;
+        select.appendChild(option);
+    });
+    label.appendChild(select);
+    controls.appendChild(label);
+
+    const thread = document.createElement('div');
+    thread.className = 'comments-thread';
+
+    panel.appendChild(controls);
+    panel.appendChild(thread);
+
+    select.addEventListener('change', () => {
+        saveCommentSort(select.value);
+        loadThread(thread, item, select.value);
+    });
+
+    // Arrow keys change the sort here, not the video
+    select.addEventListener('keydown', (e) => e.stopPropagation());
+
+    loadThread(thread, item, currentSort);
+}
+
+/**
+ * Load and render a post's comment tree
+ *
+ * @param {HTMLElement} thread - Thread container
+ * @param {Object} item - Video data
+ * @param {string} sort - Comment sort
+ */
+async function loadThread(thread, item, sort) {
+    // Ignore responses for a sort that's no longer selected
+    const request = {};
+    thread.currentRequest = request;
+
+    thread.innerHTML = '<div class="comments-status">Loading comments…</div>';
+
+    try {
+        const { linkId, comments } = await fetchComments(item.permalink, sort);
+        if (thread.currentRequest !== request) return;
+
+        thread.innerHTML = '';
+
+        if (comments.length === 0) {
+            thread.innerHTML = '<div class="comments-status">No comments yet</div>';
+            return;
+        }
+
+        const context = {
+            linkId,
+            sort,
+            permalink: item.permalink,
+            // Only link timestamps that the current player can actually seek to
+            timestamps: canSeekCurrentVideo() ? { linkTimestamps: true, maxTime: item.duration || null } : {}
+        };
+        thread.appendChild(renderNodes(comments, context));
+    } catch (error) {
+        if (thread.currentRequest !== request) return;
+
+        thread.innerHTML = '';
+
+        const status = document.createElement('div');
+        status.className = 'comments-status';
+        status.textContent = `Couldn't load comments: ${error.message} `;
+
+        const retry = document.createElement('button');
+        retry.className = 'comments-more';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => loadThread(thread, item, sort));
+
+        status.appendChild(retry);
+        thread.appendChild(status);
+    }
+}
+
+/**
+ * Render comments and "load more" stubs
+ *
+ * @param {Array} nodes - Normalized comments
+ * @param {Object} context - { linkId, sort, permalink, timestamps }
+ * @returns {DocumentFragment} - Rendered nodes
+ */
+function renderNodes(nodes, context) {
+    const fragment = document.createDocumentFragment();
+
+    nodes.forEach(node => {
+        fragment.appendChild(node.kind === 'more' ?
+            renderMore(node, context) :
+            renderComment(node, context));
+    });
+
+    return fragment;
+}
+
+/**
+ * Render one comment with its replies
+ *
+ * @param {Object} comment - Normalized comment
+ * @param {Object} context - { linkId, sort, permalink, timestamps }
+ * @returns {HTMLElement} - Comment element
+ */
+function renderComment(comment, context) {
+    const element = document.createElement('div');
+    element.className = 'comment';
+    element.dataset.id = comment.id;
+
+    const header = document.createElement('div');
+    header.className = 'comment-header';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'comment-toggle';
+    toggle.textContent = '[–]';
+    toggle.setAttribute('aria-expanded', 'true');
+    toggle.setAttribute('aria-label', 'Collapse comment');
+    header.appendChild(toggle);
+
+    const author = createAuthorLink(comment.author);
+    if (author) {
+        header.appendChild(author);
+    } else {
+        const deleted = document.createElement('span');
+        deleted.className = 'comment-deleted';
+        deleted.textContent = '[deleted]';
+        header.appendChild(deleted);
+    }
+
+    if (comment.isSubmitter) {
+        const op = document.createElement('span');
+        op.className = 'comment-op';
+        op.textContent = 'OP';
+        header.appendChild(op);
+    }
+
+    const meta = document.createElement('span');
+    meta.className = 'comment-meta';
+    meta.textContent = [
+        comment.scoreHidden ? 'score hidden' : `↑ ${formatCount(comment.score)}`,
+        comment.createdUtc ? formatTimeAgo(comment.createdUtc * 1000) : null,
+        comment.edited ? 'edited' : null,
+        comment.stickied ? 'pinned' : null
+    ].filter(Boolean).join(' • ');
+    header.appendChild(meta);
+
+    const body = document.createElement('div');
+    body.className = 'comment-body';
+    body.appendChild(comment.bodyHtml ?
+        sanitizeCommentHtml(comment.bodyHtml, context.timestamps) :
+        createTextWithTimestamps(comment.body, context.timestamps));
+
+    const replies = document.createElement('div');
+    replies.className = 'comment-replies';
+    replies.appendChild(renderNodes(comment.replies, context));
+
+    toggle.addEventListener('click', () => {
+        const collapsed = element.classList.toggle('collapsed');
+        const hiddenCount = element.querySelectorAll('.comment').length;
+
+        toggle.textContent = collapsed ? '[+]' : '[–]';
+        toggle.setAttribute('aria-expanded', !collapsed);
+        toggle.setAttribute('aria-label', collapsed ? 'Expand comment' : 'Collapse comment');
+        toggle.title = collapsed && hiddenCount > 0 ? `${hiddenCount} ${hiddenCount === 1 ? 'reply' : 'replies'} hidden` : '';
+    });
+
+    element.appendChild(header);
+    element.appendChild(body);
+    element.appendChild(replies);
+
+    return element;
+}
+
+/**
+ * Render a "load more comments" stub
+ *
+ * Stubs without ids mean the thread continues on its own page, which only
+ * Reddit can show.
+ *
+ * @param {Object} more - Normalized stub
+ * @param {Object} context - { linkId, sort, permalink, timestamps }
+ * @returns {HTMLElement} - Button or link
+ */
+function renderMore(more, context) {
+    if (more.children.length === 0) {
+        const link = document.createElement('a');
+        link.className = 'comments-more';
+        link.href = `https://www.reddit.com${context.permalink}${more.parentId.replace(/^t1_/, '')}/`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Continue this thread on Reddit →';
+        return link;
+    }
+
+    const button = document.createElement('button');
+    button.className = 'comments-more';
+
+    const count = more.count || more.children.length;
+    const label = `Load ${count} more ${count === 1 ? 'reply' : 'replies'}`;
+    button.textContent = label;
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        button.textContent = 'Loading…';
+
+        try {
+            const nodes = await fetchMoreComments(context.linkId, more, context.sort);
+            button.replaceWith(renderNodes(nodes, context));
+        } catch (error) {
+            console.error('Error loading more comments:', error);
+            button.disabled = false;
+            button.textContent = `${label} (failed - try again)`;
+        }
+    });
+
+    return button;
+}
+
+/**
+ * Turn comment HTML into safe DOM nodes
+ *
+ * @param {string} html - Reddit body_html (unescaped, as sent with raw_json=1)
+ * @param {Object} [options] - Timestamp options
+ * @param {boolean} [options.linkTimestamps] - Turn timestamps into seek links
+ * @param {number|null} [options.maxTime] - Video length; later timestamps stay text
+ * @returns {DocumentFragment} - Sanitized content
+ */
+function sanitizeCommentHtml(html, options = {}) {
+    // DOMParser documents are inert: no scripts run and no resources load
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = document.createDocumentFragment();
+
+    Array.from(doc.body.childNodes).forEach(node => {
+        const clean = sanitizeNode(node, options);
+        if (clean) fragment.appendChild(clean);
+    });
+
+    return fragment;
+}
+
+/**
+ * Copy an allowed node (and its allowed descendants) into the page's document
+ *
+ * @param {Node} node - Node from the parsed comment
+ * @param {Object} options - Timestamp options (see sanitizeCommentHtml)
+ * @returns {Node|null} - Clean copy, or null if it's dropped
+ */
+function sanitizeNode(node, options) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return createTextWithTimestamps(node.textContent, options);
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(node.tagName)) {
+        return null;
+    }
+
+    // Reddit wraps every comment in <div class="md">; unknown tags keep their content
+    const container = ALLOWED_TAGS.has(node.tagName) ?
+        document.createElement(node.tagName.toLowerCase()) :
+        document.createDocumentFragment();
+
+    if (node.tagName === 'A') {
+        const href = safeHref(node.getAttribute('href'));
+        if (href) {
+            container.href = href;
+            container.target = '_blank';
+            container.rel = 'noopener nofollow';
+        }
+    }
+
+    if (node.tagName === 'SPAN' && node.classList.contains('md-spoiler-text')) {
+        container.className = 'md-spoiler-text';
+        container.title = 'Spoiler (click to reveal)';
+        container.addEventListener('click', () => container.classList.add('revealed'));
+    }
+
+    const childOptions = NO_TIMESTAMP_TAGS.has(node.tagName) ? { ...options, linkTimestamps: false } : options;
+    Array.from(node.childNodes).forEach(child => {
+        const clean = sanitizeNode(child, childOptions);
+        if (clean) container.appendChild(clean);
+    });
+
+    return container;
+}
+
+/**
+ * Create text nodes, with timestamps turned into seek links if enabled
+ *
+ * @param {string} text - Plain text
+ * @param {Object} options - Timestamp options (see sanitizeCommentHtml)
+ * @returns {Node} - Text node, or a fragment of text and links
+ */
+function createTextWithTimestamps(text, options = {}) {
+    if (!options.linkTimestamps) {
+        return document.createTextNode(text);
+    }
+
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    text.replace(TIMESTAMP_PATTERN, (match, prefix, stamp, hours, minutes, seconds, offset) => {
+        const time = parseTimestamp(hours, minutes, seconds);
+        if (time === null || (options.maxTime && time > options.maxTime)) {
+            return match;
+        }
+
+        const start = offset + prefix.length;
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+        fragment.appendChild(createTimestampLink(stamp, time));
+        lastIndex = start + stamp.length;
+
+        return match;
+    });
+
+    if (lastIndex === 0) {
+        return document.createTextNode(text);
+    }
+
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    return fragment;
+}
+
+/**
+ * Convert timestamp parts to seconds
+ *
+ * @param {string|undefined} hours - Hours part, if any
+ * @param {string} minutes - Minutes part
+ * @param {string} seconds - Seconds part
+ * @returns {number|null} - Seconds, or null if it isn't a valid timestamp
+ */
+function parseTimestamp(hours, minutes, seconds) {
+    const h = hours ? parseInt(hours, 10) : 0;
+    const m = parseInt(minutes, 10);
+    const s = parseInt(seconds, 10);
+
+    if (s >= 60 || (hours && m >= 60)) return null;
+
+    return h * 3600 + m * 60 + s;
+}
+
+/**
+ * Create a link that seeks the lightbox player
+ *
+ * @param {string} label - Timestamp as written
+ * @param {number} time - Position in seconds
+ * @returns {HTMLElement} - Link element
+ */
+function createTimestampLink(label, time) {
+    const link = document.createElement('a');
+    link.className = 'comment-timestamp';
+    link.href = '#';
+    link.textContent = label;
+    link.title = `Jump to ${label}`;
+
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        seekCurrentVideo(time);
+    });
+
+    return link;
+}
+
+/**
+ * Allow only web links, resolving Reddit-relative ones
+ *
+ * @param {string|null} href - Link target from the comment
+ * @returns {string|null} - Safe absolute URL, or null
+ */
+function safeHref(href) {
+    if (!href) return null;
+
+    try {
+        const url = new URL(href, 'https://www.reddit.com');
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    createCommentsSection,
+    sanitizeCommentHtml
+};
\ No newline at end of file
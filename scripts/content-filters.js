@@ -0,0 +1,178 @@
+/**
+ * content-filters.js - Persistent rules that keep posts out of every feed
+ *
+ * Rules are applied where results leave the API and discovery layers, so a
+ * filtered post never reaches the grid, carousels or related videos. Cached
+ * pages are stored unfiltered and re-filtered on the way out, which means a
+ * rule change takes effect without refetching.
+ *
+ * Changing the rules dispatches a 'content-filters-change' event on document
+ * with the new rules in `detail.filters`.
+ */
+import { saveContentFilters, loadContentFilters } from './storage.js';
+
+const DEFAULT_CONTENT_FILTERS = {
+    keywords: [], // Title substrings, or /regex/flags
+    authors: [],
+    domains: [], // Post domains (e.g. youtube.com) or provider ids (e.g. redgifs)
+    minUpvotes: 0,
+    minComments: 0,
+    maxAgeDays: 0 // 0 = no limit
+};
+
+// Compiled keyword matchers, rebuilt when the keyword list changes
+let compiledKeywords = null;
+let compiledFrom = null;
+
+/**
+ * Get the current filter rules
+ *
+ * @returns {Object} - Filter rules with defaults filled in
+ */
+function getContentFilters() {
+    return sanitizeFilters(loadContentFilters(DEFAULT_CONTENT_FILTERS));
+}
+
+/**
+ * Update filter rules
+ *
+ * @param {Object} updates - Partial rules
+ * @returns {Object} - The new rules
+ */
+function updateContentFilters(updates) {
+    const filters = sanitizeFilters({ ...getContentFilters(), ...updates });
+
+    saveContentFilters(filters);
+    document.dispatchEvent(new CustomEvent('content-filters-change', { detail: { filters } }));
+
+    return filters;
+}
+
+/**
+ * Reset all filter rules
+ *
+ * @returns {Object} - The default rules
+ */
+function resetContentFilters() {
+    return updateContentFilters(DEFAULT_CONTENT_FILTERS);
+}
+
+/**
+ * Clean up rules loaded from storage or a settings form
+ *
+ * @param {Object} filters - Raw rules
+ * @returns {Object} - Rules with trimmed, de-duplicated lists and non-negative numbers
+ */
+function sanitizeFilters(filters) {
+    const list = (values, normalize = value => value) => (Array.isArray(values) ? values : [])
+        .map(value => normalize(String(value).trim()))
+        .filter((value, i, all) => value && all.indexOf(value) === i);
+    const number = value => Math.max(parseFloat(value) || 0, 0);
+
+    return {
+        keywords: list(filters.keywords),
+        authors: list(filters.authors, name => name.replace(/^\/?u\//i, '').toLowerCase()),
+        domains: list(filters.domains, domain => domain.replace(/^https?:\/\//i, '').replace(/^www\./i, '').toLowerCase()),
+        minUpvotes: number(filters.minUpvotes),
+        minComments: number(filters.minComments),
+        maxAgeDays: number(filters.maxAgeDays)
+    };
+}
+
+/**
+ * Turn keyword rules into matcher functions
+ *
+ * Rules written as /pattern/flags are regular expressions; anything else is a
+ * case-insensitive substring. Invalid expressions are skipped.
+ *
+ * @param {Array<string>} keywords - Keyword rules
+ * @returns {Array<function(string): boolean>} - Matchers
+ */
+function compileKeywords(keywords) {
+    const key = keywords.join('\n');
+    if (compiledFrom === key) return compiledKeywords;
+
+    compiledKeywords = keywords.map(keyword => {
+        const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/i);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+                return title => regex.test(title);
+            } catch (error) {
+                console.warn(`Ignoring invalid filter expression ${keyword}:`, error.message);
+                return null;
+            }
+        }
+
+        const needle = keyword.toLowerCase();
+        return title => title.toLowerCase().includes(needle);
+    }).filter(Boolean);
+    compiledFrom = key;
+
+    return compiledKeywords;
+}
+
+/**
+ * Check whether a video passes the filter rules
+ *
+ * Fields a video doesn't have (e.g. items cached before a field existed)
+ * never cause it to be filtered.
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object} filters - Filter rules
+ * @returns {boolean} - Whether the video is allowed
+ */
+function matchesContentFilters(video, filters) {
+    const title = video.title || '';
+    if (compileKeywords(filters.keywords).some(matches => matches(title))) {
+        return false;
+    }
+
+    if (video.author && filters.authors.includes(video.author.toLowerCase())) {
+        return false;
+    }
+
+    if (filters.domains.length > 0) {
+        const domain = (video.domain || '').toLowerCase();
+        const blocked = filters.domains.some(rule =>
+            rule === video.provider ||
+            (domain && (domain === rule || domain.endsWith(`.${rule}`)))
+        );
+        if (blocked) return false;
+    }
+
+    if (filters.minUpvotes > 0 && typeof video.upvotes === 'number' && video.upvotes < filters.minUpvotes) {
+        return false;
+    }
+
+    if (filters.minComments > 0 && typeof video.comments === 'number' && video.comments < filters.minComments) {
+        return false;
+    }
+
+    if (filters.maxAgeDays > 0 && video.createdUtc) {
+        const ageDays = (Date.now() / 1000 - video.createdUtc) / 86400;
+        if (ageDays > filters.maxAgeDays) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Remove videos blocked by the current rules
+ *
+ * @param {Array} videos - Normalized videos
+ * @returns {Array} - Allowed videos
+ */
+function applyContentFilters(videos) {
+    const filters = getContentFilters();
+    return videos.filter(video => matchesContentFilters(video, filters));
+}
+
+export {
+    DEFAULT_CONTENT_FILTERS,
+    getContentFilters,
+    updateContentFilters,
+    resetContentFilters,
+    matchesContentFilters,
+    applyContentFilters
+};
\ No newline at end of file
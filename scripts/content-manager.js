@@ -2,10 +2,10 @@
  * content-manager.js - Advanced content management with collections and watch history
  */
 import { showToast } from './ui.js';
-import { savePost } from './auth.js';
+import { savePost, getActiveAccountName } from './auth.js';
 
 // LocalStorage keys
-const COLLECTIONS_KEY = 'video_collections';
+const COLLECTIONS_KEY = 'video_collections'; // Logged out; each account has its own copy
 const WATCH_HISTORY_KEY = 'watch_history';
 const WATCH_LATER_KEY = 'watch_later';
 const HISTORY_LIMIT = 100; // Maximum items in watch history
@@ -22,11 +22,31 @@ const HISTORY_LIMIT = 100; // Maximum items in watch history
  * @property {number} updated - Last update timestamp
  */
 
+/**
+ * Get the storage key for the selected account's collections
+ * 
+ * @returns {string} LocalStorage key
+ */
+function getCollectionsKey() {
+    const account = getActiveAccountName();
+    return account ? `${COLLECTIONS_KEY}:${account}` : COLLECTIONS_KEY;
+}
+
 /**
  * Initialize collections if they don't exist
+ * 
+ * An account's collections start as a copy of the logged-out ones, so
+ * nothing saved before logging in seems to disappear; after that the two
+ * are kept apart.
  */
 function initializeCollections() {
-    if (!localStorage.getItem(COLLECTIONS_KEY)) {
+    const key = getCollectionsKey();
+    
+    if (!localStorage.getItem(key) && key !== COLLECTIONS_KEY && localStorage.getItem(COLLECTIONS_KEY)) {
+        localStorage.setItem(key, localStorage.getItem(COLLECTIONS_KEY));
+    }
+    
+    if (!localStorage.getItem(key)) {
         const defaultCollections = [
             {
                 id: 'favorites',
@@ -48,7 +68,7 @@ function initializeCollections() {
             }
         ];
         
-        localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(defaultCollections));
+        localStorage.setItem(key, JSON.stringify(defaultCollections));
     }
     
     if (!localStorage.getItem(WATCH_HISTORY_KEY)) {
@@ -63,7 +83,7 @@ function initializeCollections() {
  */
 function getCollections() {
     initializeCollections();
-    return JSON.parse(localStorage.getItem(COLLECTIONS_KEY));
+    return JSON.parse(localStorage.getItem(getCollectionsKey()));
 }
 
 /**
@@ -102,7 +122,7 @@ function createCollection(name, description = '', icon = '📁') {
     };
     
     collections.push(newCollection);
-    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+    localStorage.setItem(getCollectionsKey(), JSON.stringify(collections));
     
     showToast(`Collection "${name}" created`, 'success');
     return newCollection;
@@ -130,7 +150,7 @@ function updateCollection(collectionId, updates) {
         updated: Date.now()
     };
     
-    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+    localStorage.setItem(getCollectionsKey(), JSON.stringify(collections));
     return collections[index];
 }
 
@@ -154,7 +174,7 @@ function deleteCollection(collectionId) {
         return false; // Collection not found
     }
     
-    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(filteredCollections));
+    localStorage.setItem(getCollectionsKey(), JSON.stringify(filteredCollections));
     showToast('Collection deleted', 'success');
     return true;
 }
@@ -183,7 +203,7 @@ async function addToCollection(collectionId, video) {
     collections[index].videoIds.push(video.id);
     collections[index].updated = Date.now();
     
-    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+    localStorage.setItem(getCollectionsKey(), JSON.stringify(collections));
     
     // If this is the favorites collection and user is authenticated, save on Reddit too
     if (collectionId === 'favorites') {
@@ -223,7 +243,7 @@ async function removeFromCollection(collectionId, videoId) {
     }
     
     collections[index].updated = Date.now();
-    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+    localStorage.setItem(getCollectionsKey(), JSON.stringify(collections));
     
     // If this is the favorites collection and user is authenticated, unsave on Reddit too
     if (collectionId === 'favorites') {
@@ -0,0 +1,126 @@
+/**
+ * dedupe.js - Collapse repeated posts and crossposts into one card
+ *
+ * Posts count as the same clip when they share a post id (hot pagination
+ * repeats), one is a crosspost of the other, or they point at the same
+ * media (same YouTube id, v.redd.it id, ...). The first one seen stays in
+ * the feed and records the others in `duplicates`, `alsoIn` and
+ * `combinedScore`.
+ */
+
+/**
+ * Keys under which a video (and anything already folded into it) can be matched
+ *
+ * @param {Object} video - Normalized video
+ * @returns {Array<string>} - Duplicate keys
+ */
+function getDuplicateKeys(video) {
+    const keys = [`id:${video.id}`];
+
+    if (video.crosspostParent) {
+        keys.push(`id:${video.crosspostParent}`);
+    }
+    if (video.mediaKey) {
+        keys.push(`media:${video.mediaKey}`);
+    }
+
+    (video.duplicates || []).forEach(duplicate => {
+        keys.push(`id:${duplicate.id}`);
+        if (duplicate.crosspostParent) keys.push(`id:${duplicate.crosspostParent}`);
+        if (duplicate.mediaKey) keys.push(`media:${duplicate.mediaKey}`);
+    });
+
+    return keys;
+}
+
+/**
+ * Fold a duplicate post into the video that stays in the feed
+ *
+ * @param {Object} primary - Video shown in the feed
+ * @param {Object} duplicate - Repeated post
+ * @returns {Object} - Updated copy of the primary, or the primary itself if nothing changed
+ */
+function absorbDuplicate(primary, duplicate) {
+    const duplicates = primary.duplicates || [];
+
+    // Same post again (pagination overlap) - nothing new to show
+    if (duplicate.id === primary.id || duplicates.some(d => d.id === duplicate.id)) {
+        return primary;
+    }
+
+    const merged = [...duplicates, {
+        id: duplicate.id,
+        subreddit: duplicate.subreddit,
+        upvotes: duplicate.upvotes || 0,
+        permalink: duplicate.permalink,
+        crosspostParent: duplicate.crosspostParent,
+        mediaKey: duplicate.mediaKey
+    }];
+
+    const alsoIn = merged
+        .map(d => d.subreddit)
+        .filter((name, i, all) => name && name !== primary.subreddit && all.indexOf(name) === i);
+
+    return {
+        ...primary,
+        duplicates: merged,
+        alsoIn,
+        combinedScore: (primary.upvotes || 0) + merged.reduce((sum, d) => sum + d.upvotes, 0)
+    };
+}
+
+/**
+ * Add a page of videos to a feed, collapsing duplicates
+ *
+ * Neither input is modified; videos that absorb a duplicate are replaced
+ * with updated copies.
+ *
+ * @param {Array} existing - Videos already in the feed
+ * @param {Array} incoming - Newly loaded videos
+ * @returns {Object} - { videos: full feed, added: new videos, updated: existing videos that changed }
+ */
+function mergeDuplicates(existing, incoming) {
+    const videos = [...existing];
+    const positions = new Map();
+    const added = [];
+    const updated = new Map();
+
+    const index = (video, position) => {
+        getDuplicateKeys(video).forEach(key => positions.set(key, position));
+    };
+
+    videos.forEach(index);
+
+    incoming.forEach(video => {
+        const match = getDuplicateKeys(video)
+            .map(key => positions.get(key))
+            .find(position => position !== undefined);
+
+        if (match === undefined) {
+            videos.push(video);
+            added.push(video);
+            index(video, videos.length - 1);
+            return;
+        }
+
+        const primary = videos[match];
+        const merged = absorbDuplicate(primary, video);
+        if (merged === primary) return;
+
+        videos[match] = merged;
+        index(merged, match);
+
+        const addedIndex = added.indexOf(primary);
+        if (addedIndex !== -1) {
+            added[addedIndex] = merged;
+        } else {
+            updated.set(merged.id, merged);
+        }
+    });
+
+    return { videos, added, updated: [...updated.values()] };
+}
+
+export {
+    mergeDuplicates
+};
\ No newline at end of file
@@ -8,7 +8,7 @@ import {
     getRelatedVideos
 } from './discovery.js';
 import { addToWatchHistory } from './content-manager.js';
-import { formatCount } from './ui.js';
+import { formatCount, applyContentWarning } from './ui.js';
 
 /**
  * Render videos in a carousel
@@ -66,6 +66,8 @@ function createCarouselCard(video) {
         </div>
     `;
     
+    applyContentWarning(card.querySelector('.carousel-thumbnail'), video);
+    
     // Add keyboard support
     card.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
@@ -125,6 +127,7 @@ async function loadRelatedVideos(currentVideo, onVideoSelect) {
                 </div>
             `;
             
+            applyContentWarning(item.querySelector('.related-thumbnail'), video);
             relatedContainer.appendChild(item);
             
             // Add click handler
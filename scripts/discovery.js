@@ -3,10 +3,13 @@
  */
 import { fetchRedditApi, isAuthenticated } from './auth.js';
 import { getWatchHistory } from './content-manager.js';
+import { normalizeListing, applyNsfwMode } from './providers.js';
+import { applyContentFilters } from './content-filters.js';
+import { scheduledFetch } from './scheduler.js';
+import { cacheGet, cacheSet } from './cache.js';
+import { buildSearchUrl } from './sources.js';
 
-// In-memory cache for recommendations and trending content
-const recommendationsCache = new Map();
-const trendingCache = new Map();
+// Recommendations and trending content share the persistent API cache
 const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
 
 // Top subreddits by category
@@ -37,6 +40,18 @@ const CATEGORY_SUBREDDITS = {
     ]
 };
 
+/**
+ * Apply the NSFW mode and content filter rules to discovery results
+ * 
+ * Results are cached unfiltered, so this runs on the way out.
+ * 
+ * @param {Array} videos - Normalized videos
+ * @returns {Array} - Allowed videos
+ */
+function filterResults(videos) {
+    return applyContentFilters(applyNsfwMode(videos));
+}
+
 /**
  * Fetch trending videos by upvotes and recent activity
  * 
@@ -47,10 +62,10 @@ const CATEGORY_SUBREDDITS = {
 async function getTrendingVideos(category = null, limit = 20) {
     // Check cache first
     const cacheKey = `trending_${category || 'all'}_${limit}`;
-    const cachedResult = trendingCache.get(cacheKey);
+    const cachedResult = await cacheGet(cacheKey, { allowStale: true });
     
-    if (cachedResult && (Date.now() - cachedResult.timestamp < CACHE_DURATION)) {
-        return cachedResult.data;
+    if (cachedResult && cachedResult.fresh) {
+        return filterResults(cachedResult.value);
     }
     
     try {
@@ -68,9 +83,7 @@ async function getTrendingVideos(category = null, limit = 20) {
         }
         
         // Fetch top posts from selected subreddits
-        const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(
-            `https://www.reddit.com/r/${subreddits}/top.json?t=day&limit=${limit * 2}`
-        )}`);
+        const response = await scheduledFetch(`https://www.reddit.com/r/${subreddits}/top.json?t=day&limit=${limit * 2}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error: ${response.status}`);
@@ -79,102 +92,25 @@ async function getTrendingVideos(category = null, limit = 20) {
         const data = await response.json();
         
         // Filter for videos and format the response
-        const videos = data.data.children
-            .filter(post => isVideoPost(post.data))
-            .slice(0, limit)
-            .map(formatRedditPost);
+        const videos = normalizeListing(data.data.children)
+            .slice(0, limit);
         
         // Cache the result
-        trendingCache.set(cacheKey, {
-            data: videos,
-            timestamp: Date.now()
-        });
+        await cacheSet(cacheKey, videos, CACHE_DURATION);
         
-        return videos;
+        return filterResults(videos);
     } catch (error) {
         console.error('Error fetching trending videos:', error);
         
         // Return cached data even if stale in case of error
         if (cachedResult) {
-            return cachedResult.data;
+            return filterResults(cachedResult.value);
         }
         
         throw error;
     }
 }
 
-/**
- * Check if a post contains video content
- * 
- * @param {Object} post - Reddit post data
- * @returns {boolean} - Is video post
- */
-function isVideoPost(post) {
-    return post.is_video || 
-           (post.domain && (
-               post.domain.includes('youtube.com') || 
-               post.domain.includes('youtu.be') ||
-               post.domain.includes('redgifs.com') ||
-               post.domain.includes('gfycat.com')
-           )) ||
-           (post.secure_media && post.secure_media.oembed) ||
-           (post.url && (
-               post.url.endsWith('.gif') ||
-               post.url.endsWith('.gifv') ||
-               post.url.endsWith('.mp4')
-           ));
-}
-
-/**
- * Format Reddit post data for the app
- * 
- * @param {Object} post - Reddit post data
- * @returns {Object} - Formatted post data
- */
-function formatRedditPost(post) {
-    const data = post.data;
-    const isRedditVideo = data.is_video && data.media && data.media.reddit_video;
-    
-    let thumbnailUrl;
-    if (data.preview && data.preview.images && data.preview.images[0]) {
-        const previews = data.preview.images[0].resolutions || [];
-        const mediumPreview = previews.find(p => p.width >= 640) || 
-                             previews[previews.length - 1];
-        
-        thumbnailUrl = mediumPreview ? 
-            mediumPreview.url.replace(/&amp;/g, '&') : 
-            data.preview.images[0].source.url.replace(/&amp;/g, '&');
-    } else if (data.thumbnail && data.thumbnail !== 'self' && data.thumbnail !== 'default') {
-        thumbnailUrl = data.thumbnail;
-    } else {
-        thumbnailUrl = 'https://www.redditstatic.com/mweb2x/img/camera.png'; // Fallback
-    }
-    
-    // Extract audio URL for Reddit videos
-    let audioUrl = null;
-    if (isRedditVideo && data.media.reddit_video.fallback_url) {
-        const videoBaseUrl = data.media.reddit_video.fallback_url.split('DASH_')[0];
-        audioUrl = `${videoBaseUrl}DASH_audio.mp4`;
-    }
-    
-    return {
-        id: data.id,
-        title: data.title,
-        subreddit: data.subreddit,
-        url: data.url,
-        thumbnail: thumbnailUrl,
-        upvotes: data.ups,
-        comments: data.num_comments,
-        created: new Date(data.created_utc * 1000).toLocaleDateString(),
-        isVideo: true,
-        isReddit: isRedditVideo,
-        fallbackUrl: isRedditVideo ? data.media.reddit_video.fallback_url : null,
-        audioUrl: audioUrl,
-        permalink: data.permalink,
-        author: data.author
-    };
-}
-
 /**
  * Get subreddit categories
  * 
@@ -196,10 +132,10 @@ function getCategories() {
  */
 async function getRecommendations(limit = 20) {
     const cacheKey = `recommendations_${limit}`;
-    const cachedResult = recommendationsCache.get(cacheKey);
+    const cachedResult = await cacheGet(cacheKey, { allowStale: true });
     
-    if (cachedResult && (Date.now() - cachedResult.timestamp < CACHE_DURATION)) {
-        return cachedResult.data;
+    if (cachedResult && cachedResult.fresh) {
+        return filterResults(cachedResult.value);
     }
     
     try {
@@ -220,9 +156,7 @@ async function getRecommendations(limit = 20) {
         const subreddits = watchedSubreddits.join('+');
         
         // Fetch hot posts from these subreddits
-        const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(
-            `https://www.reddit.com/r/${subreddits}/hot.json?limit=${limit * 2}`
-        )}`);
+        const response = await scheduledFetch(`https://www.reddit.com/r/${subreddits}/hot.json?limit=${limit * 2}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error: ${response.status}`);
@@ -234,10 +168,9 @@ async function getRecommendations(limit = 20) {
         const watchedIds = new Set(history.map(item => item.id));
         
         // Filter for videos and exclude watched items
-        const recommendations = data.data.children
-            .filter(post => isVideoPost(post.data) && !watchedIds.has(post.data.id))
-            .slice(0, limit)
-            .map(formatRedditPost);
+        const recommendations = normalizeListing(data.data.children)
+            .filter(video => !watchedIds.has(video.id))
+            .slice(0, limit);
         
         // If we don't have enough recommendations, fetch some trending videos too
         if (recommendations.length < limit) {
@@ -257,18 +190,15 @@ async function getRecommendations(limit = 20) {
         }
         
         // Cache the result
-        recommendationsCache.set(cacheKey, {
-            data: recommendations,
-            timestamp: Date.now()
-        });
+        await cacheSet(cacheKey, recommendations, CACHE_DURATION);
         
-        return recommendations;
+        return filterResults(recommendations);
     } catch (error) {
         console.error('Error generating recommendations:', error);
         
         // Return cached data even if stale in case of error
         if (cachedResult) {
-            return cachedResult.data;
+            return filterResults(cachedResult.value);
         }
         
         // Fall back to trending
@@ -288,9 +218,7 @@ async function getRelatedVideos(video, limit = 10) {
         // First try to get videos from the same subreddit
         const subreddit = video.subreddit;
         
-        const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(
-            `https://www.reddit.com/r/${subreddit}/hot.json?limit=${limit * 2}`
-        )}`);
+        const response = await scheduledFetch(`https://www.reddit.com/r/${subreddit}/hot.json?limit=${limit * 2}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error: ${response.status}`);
@@ -299,10 +227,9 @@ async function getRelatedVideos(video, limit = 10) {
         const data = await response.json();
         
         // Filter for videos and exclude the current video
-        const related = data.data.children
-            .filter(post => isVideoPost(post.data) && post.data.id !== video.id)
-            .slice(0, limit)
-            .map(formatRedditPost);
+        const related = filterResults(normalizeListing(data.data.children))
+            .filter(item => item.id !== video.id)
+            .slice(0, limit);
         
         return related;
     } catch (error) {
@@ -314,23 +241,25 @@ async function getRelatedVideos(video, limit = 10) {
 }
 
 /**
- * Search for videos across Reddit
+ * Search for videos across Reddit (or within some sources)
+ * 
+ * Each call fetches one page of posts; non-video posts are dropped, so a
+ * page can come back empty while `after` still points at more results.
  * 
  * @param {string} query - Search query
- * @param {string} sortBy - Sort method (relevance, hot, new, top)
- * @param {string} timeFilter - Time filter for top sort (hour, day, week, month, year, all)
- * @param {number} limit - Number of results
- * @returns {Promise<Array>} Search results
+ * @param {Object} options - Search options
+ * @param {string} options.sort - Sort method (relevance, hot, top, new, comments)
+ * @param {string} options.time - Time window (hour, day, week, month, year, all)
+ * @param {Array<string>} options.sources - Restrict to these sources (empty for all of Reddit)
+ * @param {string} options.afterToken - Token for the next page
+ * @param {number} options.limit - Posts per page
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} - { videos, after } where after is null on the last page
  */
-async function searchVideos(query, sortBy = 'relevance', timeFilter = 'all', limit = 25) {
+async function searchVideos(query, { sort = 'relevance', time = 'all', sources = [], afterToken = null, limit = 25, signal = null } = {}) {
     try {
-        let url = `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=${sortBy}&limit=${limit * 2}`;
-        
-        if (sortBy === 'top') {
-            url += `&t=${timeFilter}`;
-        }
-        
-        const response = await fetch(`https://corsproxy.io/?${encodeURIComponent(url)}`);
+        const url = buildSearchUrl(query, sources, { sort, time, afterToken, limit });
+        const response = await scheduledFetch(url, { signal });
         
         if (!response.ok) {
             throw new Error(`HTTP error: ${response.status}`);
@@ -338,13 +267,10 @@ async function searchVideos(query, sortBy = 'relevance', timeFilter = 'all', lim
         
         const data = await response.json();
         
-        // Filter for videos
-        const results = data.data.children
-            .filter(post => isVideoPost(post.data))
-            .slice(0, limit)
-            .map(formatRedditPost);
-        
-        return results;
+        return {
+            videos: filterResults(normalizeListing(data.data.children)),
+            after: data.data.after || null
+        };
     } catch (error) {
         console.error('Error searching videos:', error);
         throw error;
@@ -81,7 +81,7 @@ function safeExtractYouTubeID(url) {
         const videoId = safeExtractYouTubeID(safeUrl);
         
         if (videoId) {
-          videoUrl = `https://www.youtube.com/embed/${videoId}?autoplay=1&mute=${isMuted ? '1' : '0'}&playsinline=1`;
+          videoUrl = `https://www.youtube.com/embed/${videoId}?autoplay=1&mute=${isMuted ? '1' : '0'}&playsinline=1&enablejsapi=1`;
         }
       } 
       // Handle RedGifs with safe parsing
@@ -2,6 +2,9 @@
  * lightbox.js - Lightbox functionality
  */
 import { createVideoIframe, createRedditVideo, setVideoReferences, resetVideoReferences } from './video.js';
+import { createMediaBadges, createAuthorLink } from './ui.js';
+import { createCommentsSection } from './comments-ui.js';
+import { createVoteControls } from './votes.js';
 
 let currentVideoIndex = 0;
 let touchStartX = 0;
@@ -31,8 +34,12 @@ function showLightbox(item, index, videos, isMuted, isFavoriteCheck, onToggleFav
         if (item.isVideo) {
             try {
                 if (item.isReddit && item.fallbackUrl) {
-                    // Native Reddit video with fallback URL
-                    const video = createRedditVideo(item.fallbackUrl, item.audioUrl, isMuted, container);
+                    // Native Reddit video - adaptive manifests with the MP4 as fallback
+                    const video = createRedditVideo(item.fallbackUrl, item.audioUrl, isMuted, container, {
+                        hlsUrl: item.hlsUrl,
+                        dashUrl: item.dashUrl,
+                        permalink: item.permalink
+                    });
                     container.appendChild(video);
                     
                     // Don't autoplay on iOS to avoid errors
@@ -51,8 +58,6 @@ function showLightbox(item, index, videos, isMuted, isFavoriteCheck, onToggleFav
                             container.appendChild(playButton);
                         });
                     }
-                    
-                    setVideoReferences(null, video);
                 } else {
                     // Embedded video (YouTube, Redgifs, etc)
                     const iframe = createVideoIframe(item.url, isMuted);
@@ -91,16 +96,32 @@ function showLightbox(item, index, videos, isMuted, isFavoriteCheck, onToggleFav
         const metadata = document.getElementById('lightbox-metadata');
         metadata.innerHTML = `
             <div class="lightbox-header">
-                <div>r/${item.subreddit}</div>
+                <div>r/${item.subreddit} <span class="lightbox-author"></span></div>
                 <button class="lightbox-favorite ${isFavorite ? 'active' : ''}" data-id="${item.id}">
                     ${isFavorite ? '★' : '☆'}
                 </button>
             </div>
-            <div>↑ ${item.upvotes} • ${item.created}</div>
+            <div class="lightbox-stats">${item.created}</div>
             <div>${item.title}</div>
             <a class="lightbox-link" href="https://reddit.com${item.permalink}" target="_blank" rel="noopener">View Post</a>
         `;
         
+        const authorLink = createAuthorLink(item.author);
+        if (authorLink) {
+            metadata.querySelector('.lightbox-author').append('• ', authorLink);
+        }
+        
+        metadata.querySelector('.lightbox-stats').prepend(createVoteControls(item, { showScore: true }), '•');
+        
+        const badges = createMediaBadges(item);
+        if (badges) {
+            metadata.insertBefore(badges, metadata.querySelector('.lightbox-link'));
+        }
+        
+        if (item.permalink) {
+            metadata.appendChild(createCommentsSection(item));
+        }
+        
         // Add event listener to favorite button
         const favBtn = metadata.querySelector('.lightbox-favorite');
         if (favBtn) {
@@ -1,19 +1,27 @@
 /**
  * main.js - Enhanced main entry point with authentication and content discovery
  */
-import { DEFAULT_SUBREDDITS, fetchRedditVideos, fetchSubredditInfo } from './api.js';
+import { 
+    DEFAULT_SUBREDDITS, fetchRedditVideos, fetchSubredditInfo, fetchMultiredditInfo, validateSortSettings, 
+    createBalancedFeed, fetchBalancedVideos, cancelFeedRequests 
+} from './api.js';
 import { 
     saveSettings, loadSettings, saveTheme, loadTheme 
 } from './storage.js';
 import { 
     showError, showLoading, hideLoading, renderVideos, updateSortButtons, 
-    renderSubredditTags, initThemeToggle, updateThemeButton, applyTheme, showToast 
+    renderSubredditTags, initThemeToggle, updateThemeButton, applyTheme, showToast,
+    initApiStatus, updateDuplicateInfo
 } from './ui.js';
 import { updateMuteState, optimizeVideoMemory } from './video.js';
 import { showLightbox, closeLightbox, navigate } from './lightbox.js';
 import { isIOSSafari, isMobileDevice } from './mobile-detection.js';
 import { initializeMobileApp } from './mobile-main.js';
-import { initAuth } from './auth.js';
+import { initAuth, getUserData, getActiveAccountName, takeNewLogin } from './auth.js';
+import { isCoolingDown } from './scheduler.js';
+import { DEFAULT_MEDIA_FILTERS, matchesMediaFilters } from './providers.js';
+import { mergeDuplicates } from './dedupe.js';
+import { parseSource, userSource, isSubredditSource, getSourceLabel, groupSources, getSearchScope } from './sources.js';
 import { 
     initializeCollections,
     addToWatchHistory,
@@ -26,10 +34,18 @@ import {
     createCollectionsUI, 
     createWatchHistoryUI
 } from './profile-ui.js';
+import { initSubredditAutocomplete } from './autocomplete.js';
+import { createConnectionSettingsUI, createContentSettingsUI, createFilterSettingsUI } from './settings-ui.js';
 import {
     loadRelatedVideos,
     addRelatedVideosStyles
 } from './discovery-ui.js';
+import { searchVideos } from './discovery.js';
+import { parseQuery, filterByQuery } from './query-parser.js';
+import { createVoteControls, initVotes, applyRecentVotes, applyVote } from './votes.js';
+import {
+    loadSubscriptions, isSubscribed, toggleSubscription, syncSubscriptions, isSyncEnabled
+} from './subscriptions.js';
 
 // Load additional CSS
 function loadAdditionalCSS() {
@@ -57,16 +73,30 @@ async function initApp() {
     }
 }
 
+// Pages in a row that filters may empty before we stop fetching ahead
+const MAX_EMPTY_PAGES = 5;
+
+const DEFAULT_SEARCH_SETTINGS = {
+    mode: 'filter', // 'filter' loaded videos or search 'reddit'
+    sort: 'relevance',
+    time: 'all',
+    restrict: false // Only search the active subreddits
+};
+
 // App state
 let allVideos = [];
 let userSubreddits = [];
 let activeSubreddits = [];
 let currentVideoIndex = 0;
 let afterToken = null;
+let balancedFeed = null;
 let isLoading = false;
 let hasMore = true;
+let emptyPageStreak = 0;
 let showingFavorites = false;
 let searchTimeout;
+let searchQuery = '';
+let searchController = null;
 let observer;
 let isMuted = true;
 let themeToggleButton;
@@ -77,7 +107,10 @@ let currentSettings = {
     subreddits: [],
     compactView: false,
     autoplay: false,
-    showDiscovery: true
+    showDiscovery: true,
+    feedMode: 'mixed',
+    balanceBy: 'score',
+    mediaFilters: { ...DEFAULT_MEDIA_FILTERS }
 };
 let currentTheme = 'dark';
 
@@ -88,6 +121,9 @@ function initializeApp() {
     // Initialize auth system
     initAuth();
     
+    // Send votes that were queued while offline
+    initVotes();
+    
     // Initialize collections system
     initializeCollections();
     
@@ -101,10 +137,16 @@ function initializeApp() {
         subreddits: [],
         compactView: false,
         autoplay: false,
-        showDiscovery: true
+        showDiscovery: true,
+        feedMode: 'mixed',
+        balanceBy: 'score',
+        mediaFilters: { ...DEFAULT_MEDIA_FILTERS },
+        search: { ...DEFAULT_SEARCH_SETTINGS }
     };
     
-    currentSettings = loadSettings(defaultSettings);
+    currentSettings = validateSortSettings(loadSettings(defaultSettings));
+    currentSettings.mediaFilters = { ...DEFAULT_MEDIA_FILTERS, ...currentSettings.mediaFilters };
+    currentSettings.search = { ...DEFAULT_SEARCH_SETTINGS, ...currentSettings.search };
     
     // Load theme
     currentTheme = loadTheme('dark');
@@ -113,6 +155,9 @@ function initializeApp() {
     // Initialize UI components
     themeToggleButton = initThemeToggle(currentTheme, toggleTheme);
     
+    // Surface rate-limit cooldowns
+    initApiStatus();
+    
     // Initialize event listeners
     initEventListeners();
     
@@ -121,6 +166,7 @@ function initializeApp() {
     activeSubreddits = [...userSubreddits]; // Start with all active
     
     // Update sort buttons
+    document.getElementById('time-select').value = currentSettings.time;
     updateSortButtons(currentSettings.sort, showingFavorites);
     
     // If no subreddits, load defaults
@@ -128,12 +174,7 @@ function initializeApp() {
         loadDefaultSubreddits();
     } else {
         // Render subreddit tags
-        renderSubredditTags(
-            userSubreddits,
-            activeSubreddits,
-            toggleActiveSubreddit,
-            removeSubreddit
-        );
+        renderTags();
         
         // Initial load
         loadMoreVideos();
@@ -148,6 +189,9 @@ function initializeApp() {
     // Initialize sidebar
     initSidebar();
     
+    // Mark subscribed subreddits, syncing them first after a login
+    refreshSubscriptions();
+    
     // Add styles for related videos
     addRelatedVideosStyles();
     
@@ -211,6 +255,7 @@ function initEventListeners() {
                 quickAddSubreddit();
             }
         });
+        initSubredditAutocomplete(quickAddInput, quickAddSubreddit);
     }
     
     // Time select change
@@ -219,6 +264,41 @@ function initEventListeners() {
         timeSelect.addEventListener('change', changeTimeFilter);
     }
     
+    // Feed mode select change
+    const feedModeSelect = document.getElementById('feed-mode-select');
+    if (feedModeSelect) {
+        feedModeSelect.value = currentSettings.feedMode === 'balanced' ? currentSettings.balanceBy : 'mixed';
+        feedModeSelect.addEventListener('change', changeFeedMode);
+    }
+    
+    // Duration and orientation filters
+    initMediaFilters();
+    
+    // Reload with the new NSFW mode or filter rules (cached pages are re-filtered, not refetched)
+    document.addEventListener('nsfw-mode-change', refreshContent);
+    document.addEventListener('content-filters-change', refreshContent);
+    
+    // Author links on cards and in the lightbox
+    document.addEventListener('open-user-feed', (e) => openUserFeed(e.detail.name));
+    
+    // Imported multireddits and other sources added from outside the tag bar
+    document.addEventListener('add-sources', (e) => addSources(e.detail.sources, e.detail.subreddits));
+    
+    // Favorites, votes and subscriptions belong to the selected account
+    document.addEventListener('reddit-account-change', () => {
+        refreshContent();
+        refreshSubscriptions();
+    });
+    document.addEventListener('sync-subscriptions', () => refreshSubscriptions({ initial: true }));
+    document.addEventListener('subscriptions-change', renderTags);
+    
+    // Queued votes Reddit turned down once back online
+    document.addEventListener('vote-rejected', (e) => {
+        allVideos
+            .filter(video => video.id === e.detail.id)
+            .forEach(video => applyVote(video, e.detail.direction));
+    });
+    
     // Sort buttons
     initSortButtons();
     
@@ -243,6 +323,7 @@ function initSidebar() {
     const profileContainer = document.getElementById('profile-container');
     const collectionsContainer = document.getElementById('collections-container');
     const historyContainer = document.getElementById('history-container');
+    const settingsContainer = document.getElementById('settings-container');
     
     if (profileContainer) {
         profileContainer.appendChild(createProfileUI());
@@ -256,6 +337,12 @@ function initSidebar() {
         historyContainer.appendChild(createWatchHistoryUI(selectVideo, allVideos));
     }
     
+    if (settingsContainer) {
+        settingsContainer.appendChild(createContentSettingsUI());
+        settingsContainer.appendChild(createFilterSettingsUI());
+        settingsContainer.appendChild(createConnectionSettingsUI());
+    }
+    
     // Close sidebar button
     const closeButton = document.getElementById('close-sidebar');
     if (closeButton) {
@@ -345,30 +432,200 @@ function initSortButtons() {
 
 /**
  * Initialize search listener
+ * 
+ * "Filter loaded" narrows the videos already in the feed as you type.
+ * "Search Reddit" replaces the feed with Reddit search results, paged
+ * like any other feed.
  */
 function initSearchListener() {
     const searchInput = document.getElementById('search');
     if (!searchInput) return;
     
-    searchInput.addEventListener('input', function(e) {
+    const modeSelect = document.getElementById('search-mode-select');
+    const sortSelect = document.getElementById('search-sort-select');
+    const timeSelect = document.getElementById('search-time-select');
+    const restrictToggle = document.getElementById('search-restrict-toggle');
+    
+    const applyQuery = () => {
+        const previous = searchQuery;
+        searchQuery = searchInput.value.trim();
+        
+        if (isSearchingReddit() || (currentSettings.search.mode === 'reddit' && previous)) {
+            refreshContent();
+        } else {
+            renderFeed(true);
+        }
+    };
+    
+    searchInput.addEventListener('input', () => {
         clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(() => {
-            const query = e.target.value.toLowerCase();
-            const filtered = allVideos.filter(video => 
-                video.title.toLowerCase().includes(query) ||
-                video.subreddit.toLowerCase().includes(query) ||
-                (video.author && video.author.toLowerCase().includes(query))
-            );
-            renderVideos(
-                filtered,
-                handleFavoriteToggle,
-                selectVideo,
-                (id) => isInCollection('favorites', id)
-            );
-        }, 300);
+        searchTimeout = setTimeout(applyQuery, currentSettings.search.mode === 'reddit' ? 600 : 300);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && currentSettings.search.mode === 'reddit') {
+            clearTimeout(searchTimeout);
+            applyQuery();
+        }
+    });
+    
+    if (modeSelect) {
+        modeSelect.value = currentSettings.search.mode;
+        modeSelect.addEventListener('change', () => {
+            updateSearchSettings({ mode: modeSelect.value });
+        });
+    }
+    
+    if (sortSelect) {
+        sortSelect.value = currentSettings.search.sort;
+        sortSelect.addEventListener('change', () => updateSearchSettings({ sort: sortSelect.value }));
+    }
+    
+    if (timeSelect) {
+        timeSelect.value = currentSettings.search.time;
+        timeSelect.addEventListener('change', () => updateSearchSettings({ time: timeSelect.value }));
+    }
+    
+    if (restrictToggle) {
+        restrictToggle.addEventListener('change', () => updateSearchSettings({ restrict: restrictToggle.checked }));
+    }
+    
+    updateSearchControls();
+}
+
+/**
+ * Change search settings and rerun the search if one is showing
+ * 
+ * @param {Object} updates - Partial search settings
+ */
+function updateSearchSettings(updates) {
+    const wasSearching = isSearchingReddit();
+    
+    currentSettings.search = { ...currentSettings.search, ...updates };
+    saveSettings(currentSettings);
+    updateSearchControls();
+    
+    if (wasSearching || isSearchingReddit()) {
+        refreshContent();
+    } else {
+        renderFeed(true);
+    }
+}
+
+/**
+ * Show the Reddit search options only in Reddit search mode, and which active
+ * sources a restricted search leaves out
+ */
+function updateSearchControls() {
+    const redditMode = currentSettings.search.mode === 'reddit';
+    
+    const options = document.getElementById('search-options');
+    if (options) {
+        options.hidden = !redditMode;
+    }
+    
+    const scope = getSearchScope(activeSubreddits);
+    const skipped = activeSubreddits.filter(source => !scope.includes(source));
+    
+    // The setting is kept so the restriction comes back with searchable sources
+    const restrictToggle = document.getElementById('search-restrict-toggle');
+    if (restrictToggle) {
+        restrictToggle.disabled = scope.length === 0;
+        restrictToggle.checked = currentSettings.search.restrict && scope.length > 0;
+        restrictToggle.parentElement.classList.toggle('disabled', scope.length === 0);
+        restrictToggle.parentElement.title = scope.length === 0 ?
+            'Only subreddits and multireddits can be searched - turn one on to restrict the search' : '';
+    }
+    
+    const scopeNote = document.getElementById('search-scope-note');
+    if (scopeNote) {
+        const partial = currentSettings.search.restrict && scope.length > 0 && skipped.length > 0;
+        scopeNote.hidden = !partial;
+        scopeNote.textContent = partial ? `Not searching ${skipped.map(getSourceLabel).join(', ')}` : '';
+    }
+    
+    const searchInput = document.getElementById('search');
+    if (searchInput) {
+        searchInput.placeholder = redditMode ? 'Search Reddit for videos...' : 'Search content...';
+        searchInput.title = redditMode ? '' :
+            'Words, "phrases", -exclude, a OR b, sub:name, author:name, domain:site, ups:>1000, comments:<50';
+    }
+    
+    document.body.classList.toggle('searching-reddit', isSearchingReddit());
+}
+
+/**
+ * Whether the feed is showing Reddit search results
+ * 
+ * @returns {boolean} - Reddit search mode with a query
+ */
+function isSearchingReddit() {
+    return currentSettings.search.mode === 'reddit' && Boolean(searchQuery) && !showingFavorites;
+}
+
+/**
+ * Initialize the duration and orientation filter selects
+ */
+function initMediaFilters() {
+    const selects = {
+        minDuration: document.getElementById('min-duration-select'),
+        maxDuration: document.getElementById('max-duration-select'),
+        orientation: document.getElementById('orientation-select')
+    };
+    
+    Object.entries(selects).forEach(([key, select]) => {
+        if (!select) return;
+        
+        select.value = String(currentSettings.mediaFilters[key]);
+        select.addEventListener('change', () => {
+            currentSettings.mediaFilters[key] = key === 'orientation' ? select.value : Number(select.value);
+            saveSettings(currentSettings);
+            renderFeed(true);
+        });
     });
 }
 
+/**
+ * Get the videos the grid shows: the feed or favorites, narrowed by the
+ * search box and the media filters
+ * 
+ * @returns {Array} Visible videos in grid order
+ */
+function getVisibleVideos() {
+    let videos = showingFavorites ?
+        allVideos.filter(v => isInCollection('favorites', v.id)) :
+        allVideos;
+    
+    // Reddit search results already match the query; favorites are always filtered locally
+    if (searchQuery && !isSearchingReddit()) {
+        videos = filterByQuery(videos, searchQuery);
+    }
+    
+    return videos.filter(video => matchesMediaFilters(video, currentSettings.mediaFilters));
+}
+
+/**
+ * Render the visible videos to the grid
+ * 
+ * @param {boolean} reset - Clear the grid first, for when cards may have been filtered out
+ */
+function renderFeed(reset = false) {
+    if (reset) {
+        document.getElementById('video-grid').innerHTML = '';
+    }
+    
+    renderVideos(
+        getVisibleVideos(),
+        handleFavoriteToggle,
+        selectVideo,
+        (id) => isInCollection('favorites', id),
+        {
+            highlight: searchQuery && !isSearchingReddit() ? parseQuery(searchQuery).terms : null,
+            createVoteControls
+        }
+    );
+}
+
 /**
  * Handle favorite toggling
  * 
@@ -472,12 +729,213 @@ async function loadDefaultSubreddits() {
     hideLoading();
     
     // Update UI
+    renderTags();
+    refreshContent();
+}
+
+/**
+ * Render the subreddit tag bar from current state
+ */
+function renderTags() {
+    // Sources opened from an author link show up until they're followed or deselected
+    const unpinned = activeSubreddits.filter(source => !userSubreddits.includes(source));
+    
     renderSubredditTags(
-        userSubreddits,
+        [...userSubreddits, ...unpinned],
         activeSubreddits,
         toggleActiveSubreddit,
-        removeSubreddit
+        removeSubreddit,
+        {
+            subreddits: currentSettings.subreddits,
+            showWeights: currentSettings.feedMode === 'balanced',
+            onChangeWeight: changeSubredditWeight,
+            unpinned,
+            onPin: followSource,
+            onExpand: expandMultireddit,
+            isSubscribed,
+            onToggleSubscription: toggleSubscription
+        }
     );
+}
+
+/**
+ * Show a Reddit user's submissions as the feed
+ * 
+ * @param {string} name - Reddit username
+ */
+function openUserFeed(name) {
+    const source = userSource(name);
+    
+    if (document.getElementById('lightbox').style.display === 'flex') {
+        closeLightbox();
+    }
+    
+    if (showingFavorites) {
+        showingFavorites = false;
+        document.getElementById('favorites-toggle').classList.remove('active');
+        updateSortButtons(currentSettings.sort, showingFavorites);
+    }
+    
+    activeSubreddits = [source];
+    renderTags();
+    refreshContent();
+    window.scrollTo(0, 0);
+}
+
+/**
+ * Pin a source opened from an author link to the subreddit bar
+ * 
+ * @param {string} source - Source string (e.g. u/name)
+ */
+function followSource(source) {
+    addSources([source]);
+    showToast(`Following ${getSourceLabel(source)}`, 'success');
+}
+
+/**
+ * Save sources to the subreddit bar without activating them
+ * 
+ * @param {Array<string>} sources - Source strings
+ * @param {Array<Object>} subreddits - Known subreddit info ({ name, subscribers }) for the sources
+ */
+function addSources(sources, subreddits = []) {
+    // Reddit names aren't case-sensitive, so r/Videos is already r/videos
+    const has = (list, source) => list.some(name => name.toLowerCase() === source.toLowerCase());
+    
+    sources.forEach(source => {
+        if (!has(userSubreddits, source)) {
+            userSubreddits.push(source);
+        }
+        if (!has(currentSettings.subreddits.map(s => s.name), source)) {
+            const info = subreddits.find(s => s.name === source);
+            currentSettings.subreddits.push({ name: source, subscribers: info ? info.subscribers || 0 : 0 });
+        }
+    });
+    
+    saveSettings(currentSettings);
+    renderTags();
+}
+
+/**
+ * Remove sources from the subreddit bar
+ * 
+ * @param {Array<string>} sources - Source strings
+ */
+function removeSources(sources) {
+    activeSubreddits = activeSubreddits.filter(name => !sources.includes(name));
+    userSubreddits = userSubreddits.filter(name => !sources.includes(name));
+    
+    currentSettings.subreddits = currentSettings.subreddits.filter(sub => !sources.includes(sub.name));
+    saveSettings(currentSettings);
+    
+    renderTags();
+    refreshContent();
+}
+
+/**
+ * Load the account's subscriptions for the subreddit bar, merging them with
+ * the bar first if the account has two-way sync on
+ * 
+ * Sync only runs when the account has just logged in or the user turned it
+ * on - never on a switch, since every account shares the one bar.
+ * 
+ * @param {Object} options - Refresh options
+ * @param {boolean} options.initial - The user just turned sync on
+ */
+async function refreshSubscriptions({ initial = false } = {}) {
+    const account = getActiveAccountName();
+    const justLoggedIn = account && takeNewLogin() === account;
+    
+    // Default subreddits are still loading on first run
+    if (!(initial || justLoggedIn) || !isSyncEnabled(account) || userSubreddits.length === 0) {
+        loadSubscriptions().catch(error => console.warn('Could not load subscriptions:', error));
+        return;
+    }
+    
+    try {
+        const { add, remove, failed } = await syncSubscriptions(userSubreddits, { initial });
+        
+        if (add.length > 0) {
+            addSources(add.map(info => info.name), add);
+        }
+        if (remove.length > 0) {
+            removeSources(remove);
+        }
+        
+        if (add.length > 0 || remove.length > 0) {
+            showToast(`Synced subscriptions: ${add.length} added, ${remove.length} removed`, 'success');
+        }
+        if (failed > 0) {
+            showToast(`Couldn't update ${failed} subscription${failed === 1 ? '' : 's'} on Reddit`, 'error');
+        }
+    } catch (error) {
+        console.error('Subscription sync failed:', error);
+        showToast(error.status === 403 ?
+            'Log in again to allow syncing subscriptions' :
+            'Could not sync your subscriptions', 'error');
+    }
+}
+
+/**
+ * Replace a multireddit tag with tags for its member subreddits
+ * 
+ * @param {string} source - Multireddit source string
+ */
+async function expandMultireddit(source) {
+    const info = await fetchMultiredditInfo(source);
+    
+    if (info.exists === false) {
+        showError(`Multireddit ${getSourceLabel(source)} not found or private`);
+        return;
+    }
+    
+    if (!info.subreddits || info.subreddits.length === 0) {
+        showError(`Couldn't load the subreddits in ${getSourceLabel(source)}`);
+        return;
+    }
+    
+    const members = info.subreddits.filter(name => !userSubreddits.includes(name));
+    const position = userSubreddits.indexOf(source);
+    if (position !== -1) {
+        userSubreddits.splice(position, 1, ...members);
+    } else {
+        userSubreddits.push(...members);
+    }
+    
+    currentSettings.subreddits = currentSettings.subreddits
+        .filter(sub => sub.name !== source)
+        .concat(members.map(name => ({ name, subscribers: 0 })));
+    saveSettings(currentSettings);
+    
+    // Keep the feed showing the same posts if the multi was selected
+    const wasActive = activeSubreddits.includes(source);
+    if (wasActive) {
+        activeSubreddits = activeSubreddits.filter(name => name !== source);
+        info.subreddits.forEach(name => {
+            if (!activeSubreddits.includes(name)) activeSubreddits.push(name);
+        });
+    }
+    
+    renderTags();
+    if (wasActive) refreshContent();
+    
+    showToast(`Expanded ${getSourceLabel(source)} into ${info.subreddits.length} subreddits`, 'success');
+}
+
+/**
+ * Cycle a subreddit's balanced-feed weight (1 → 2 → 3 → 1)
+ * 
+ * @param {string} name - Subreddit name
+ */
+function changeSubredditWeight(name) {
+    const sub = currentSettings.subreddits.find(s => s.name === name);
+    if (!sub) return;
+    
+    const weight = sub.weight || 1;
+    sub.weight = weight >= 3 ? 1 : weight + 1;
+    saveSettings(currentSettings);
+    
+    renderTags();
     refreshContent();
 }
 
@@ -494,12 +952,7 @@ function toggleActiveSubreddit(subreddit) {
         activeSubreddits.splice(index, 1);
     }
     
-    renderSubredditTags(
-        userSubreddits,
-        activeSubreddits,
-        toggleActiveSubreddit,
-        removeSubreddit
-    );
+    renderTags();
     refreshContent();
 }
 
@@ -509,29 +962,7 @@ function toggleActiveSubreddit(subreddit) {
  * @param {string} name - Subreddit name
  */
 function removeSubreddit(name) {
-    // Remove from active list
-    const activeIndex = activeSubreddits.indexOf(name);
-    if (activeIndex !== -1) {
-        activeSubreddits.splice(activeIndex, 1);
-    }
-    
-    // Remove from all subreddits
-    const index = userSubreddits.indexOf(name);
-    if (index !== -1) {
-        userSubreddits.splice(index, 1);
-    }
-    
-    // Remove from settings
-    currentSettings.subreddits = currentSettings.subreddits.filter(sub => sub.name !== name);
-    saveSettings(currentSettings);
-    
-    renderSubredditTags(
-        userSubreddits,
-        activeSubreddits,
-        toggleActiveSubreddit,
-        removeSubreddit
-    );
-    refreshContent();
+    removeSources([name]);
 }
 
 /**
@@ -539,9 +970,15 @@ function removeSubreddit(name) {
  */
 function quickAddSubreddit() {
     const input = document.getElementById('quick-subreddit-input');
-    const subreddit = input.value.trim().replace(/^r\//i, '');
+    const userData = getUserData();
+    const subreddit = parseSource(input.value, { user: userData && userData.name });
     
-    if (!subreddit) return;
+    if (!subreddit) {
+        if (input.value.trim()) {
+            showError('Enter a subreddit (r/name), a user (u/name) or a multireddit URL');
+        }
+        return;
+    }
     
     // Add to subreddit list if not already there
     if (!userSubreddits.includes(subreddit)) {
@@ -552,16 +989,18 @@ function quickAddSubreddit() {
             currentSettings.subreddits.push({ name: subreddit, subscribers: 0 });
             saveSettings(currentSettings);
             
-            // Try to fetch subscriber count in background
-            fetchSubredditInfo(subreddit)
-                .then(info => {
-                    // Update settings
-                    const index = currentSettings.subreddits.findIndex(s => s.name === subreddit);
-                    if (index !== -1) {
-                        currentSettings.subreddits[index].subscribers = info.subscribers;
-                        saveSettings(currentSettings);
-                    }
-                });
+            // Try to fetch subscriber count in background (profiles and multis have none)
+            if (isSubredditSource(subreddit)) {
+                fetchSubredditInfo(subreddit)
+                    .then(info => {
+                        // Update settings
+                        const index = currentSettings.subreddits.findIndex(s => s.name === subreddit);
+                        if (index !== -1) {
+                            currentSettings.subreddits[index].subscribers = info.subscribers;
+                            saveSettings(currentSettings);
+                        }
+                    });
+            }
         }
     }
     
@@ -571,12 +1010,7 @@ function quickAddSubreddit() {
     }
     
     input.value = '';
-    renderSubredditTags(
-        userSubreddits,
-        activeSubreddits,
-        toggleActiveSubreddit,
-        removeSubreddit
-    );
+    renderTags();
     refreshContent();
 }
 
@@ -615,6 +1049,24 @@ function changeTimeFilter() {
     refreshContent();
 }
 
+/**
+ * Change how multi-subreddit feeds are merged
+ */
+function changeFeedMode() {
+    const value = document.getElementById('feed-mode-select').value;
+    
+    if (value === 'mixed') {
+        currentSettings.feedMode = 'mixed';
+    } else {
+        currentSettings.feedMode = 'balanced';
+        currentSettings.balanceBy = value;
+    }
+    
+    saveSettings(currentSettings);
+    renderTags();
+    refreshContent();
+}
+
 /**
  * Toggle favorites view
  */
@@ -644,15 +1096,16 @@ function selectVideo(videoOrIndex) {
     // If we have an index, get the video object
     let video, index;
     
+    // Card indexes refer to the visible (filtered) list
+    const videos = getVisibleVideos();
+    
     if (typeof videoOrIndex === 'number') {
         index = videoOrIndex;
-        video = showingFavorites ? 
-            allVideos.filter(v => isInCollection('favorites', v.id))[index] : 
-            allVideos[index];
+        video = videos[index];
     } else {
         video = videoOrIndex;
         // Find index in current list
-        index = allVideos.findIndex(v => v.id === video.id);
+        index = videos.findIndex(v => v.id === video.id);
     }
     
     if (!video) {
@@ -665,11 +1118,6 @@ function selectVideo(videoOrIndex) {
     // Add to watch history
     addToWatchHistory(video);
     
-    // Get videos for navigation
-    const videos = showingFavorites ? 
-        allVideos.filter(v => isInCollection('favorites', v.id)) : 
-        allVideos;
-    
     // Show lightbox
     showLightbox(
         video,
@@ -695,72 +1143,130 @@ async function loadMoreVideos() {
     
     // If showing favorites, just render from storage
     if (showingFavorites) {
-        const favoriteVideos = allVideos.filter(v => isInCollection('favorites', v.id));
-        
-        renderVideos(
-            favoriteVideos,
-            handleFavoriteToggle,
-            selectVideo,
-            (id) => isInCollection('favorites', id)
-        );
+        renderFeed();
         
         isLoading = false;
         hideLoading();
         return;
     }
     
-    fetchRedditVideos(
-        activeSubreddits,
-        currentSettings,
-        afterToken,
-        (newVideos, newAfterToken, more) => {
-            afterToken = newAfterToken;
-            hasMore = more;
-            
-            if (newVideos.length === 0) {
-                if (allVideos.length === 0) {
-                    document.getElementById('video-grid').innerHTML = `
-                        <div class="empty-state" style="grid-column: 1/-1; padding: 40px;">
-                            <div class="empty-icon">📹</div>
-                            <p>No videos found</p>
-                            <p class="empty-subtext">Try selecting different subreddits</p>
-                        </div>
-                    `;
-                }
+    // Videos painted by this request, so a later revalidation can tell if the feed moved on
+    let paintedVideos = null;
+    
+    const onSuccess = (newVideos, newAfterToken, more) => {
+        afterToken = newAfterToken;
+        hasMore = more;
+        
+        // Collapse reposts and crossposts of clips already in the feed
+        const merged = mergeDuplicates(allVideos, applyRecentVotes(newVideos));
+        allVideos = merged.videos;
+        merged.updated.forEach(updateDuplicateInfo);
+        
+        if (merged.added.length === 0) {
+            // Every post on this page was filtered out or already shown - keep going rather than stall
+            if (more && emptyPageStreak < MAX_EMPTY_PAGES) {
+                emptyPageStreak++;
                 isLoading = false;
-                hideLoading();
+                loadMoreVideos();
                 return;
             }
             
-            allVideos = [...allVideos, ...newVideos];
-            renderVideos(
-                allVideos,
-                handleFavoriteToggle,
-                selectVideo,
-                (id) => isInCollection('favorites', id)
-            );
-            
-            isLoading = false;
-            hideLoading();
-            
-            // Optimize memory
-            optimizeVideoMemory();
-        },
-        (error) => {
-            showError(`Failed to load content: ${error.message}`);
+            emptyPageStreak = 0;
+            if (allVideos.length === 0) {
+                document.getElementById('video-grid').innerHTML = `
+                    <div class="empty-state" style="grid-column: 1/-1; padding: 40px;">
+                        <div class="empty-icon">📹</div>
+                        <p>No videos found</p>
+                        <p class="empty-subtext">${isSearchingReddit() ? 'Try a different search' : 'Try selecting different subreddits'}</p>
+                    </div>
+                `;
+            }
             isLoading = false;
             hideLoading();
-            hasMore = false;
-            
-            // Try again after a delay if it might be a temporary issue
-            if (error.message.includes('HTTP error') || error.message.includes('Failed to fetch')) {
-                setTimeout(() => {
-                    hasMore = true;
-                    loadMoreVideos();
-                }, 5000);
-            }
+            return;
         }
-    );
+        
+        emptyPageStreak = 0;
+        paintedVideos = allVideos;
+        renderFeed();
+        
+        isLoading = false;
+        hideLoading();
+        
+        // Optimize memory
+        optimizeVideoMemory();
+    };
+    
+    // The first page may be painted from a stale cache; swap in fresh results
+    // unless more pages were loaded or the feed was reset in the meantime
+    const onRevalidate = (freshVideos, freshAfterToken, more) => {
+        if (paintedVideos === null || allVideos !== paintedVideos || showingFavorites) {
+            return;
+        }
+        
+        afterToken = freshAfterToken;
+        hasMore = more;
+        allVideos = mergeDuplicates([], applyRecentVotes(freshVideos)).videos;
+        paintedVideos = allVideos;
+        
+        renderFeed(true);
+    };
+    
+    const onError = (error) => {
+        showError(`Failed to load content: ${error.message}`);
+        isLoading = false;
+        hideLoading();
+        hasMore = false;
+        
+        // Rate limited - pick up where we left off once the scheduler resumes
+        if (isCoolingDown()) {
+            document.addEventListener('api-resume', () => {
+                hasMore = true;
+                loadMoreVideos();
+            }, { once: true });
+        }
+    };
+    
+    if (isSearchingReddit()) {
+        const { signal } = searchController;
+        
+        searchVideos(searchQuery, {
+            sort: currentSettings.search.sort,
+            time: currentSettings.search.time,
+            sources: currentSettings.search.restrict ? activeSubreddits : [],
+            afterToken,
+            signal
+        })
+            .then(({ videos, after }) => {
+                if (!signal.aborted) onSuccess(videos, after, Boolean(after));
+            })
+            .catch(error => {
+                if (!signal.aborted) onError(error);
+            });
+        return;
+    }
+    
+    // Balanced mode keeps a cursor per subreddit so small ones get a fair share;
+    // user profiles can't be combined into one listing so they always get their own
+    const needsCursors = currentSettings.feedMode === 'balanced' ?
+        activeSubreddits.length > 1 :
+        groupSources(activeSubreddits).length > 1;
+    
+    if (needsCursors) {
+        if (!balancedFeed) {
+            balancedFeed = createBalancedFeed(activeSubreddits, currentSettings);
+        }
+        fetchBalancedVideos(balancedFeed, currentSettings, onSuccess, onError, onRevalidate);
+    } else {
+        fetchRedditVideos(
+            activeSubreddits,
+            currentSettings,
+            afterToken,
+            onSuccess,
+            onError,
+            afterToken === null ? onRevalidate : null
+        );
+    }
 }
 
 /**
@@ -768,19 +1274,26 @@ async function loadMoreVideos() {
  */
 function refreshContent() {
     afterToken = null;
+    balancedFeed = null;
     hasMore = true;
+    emptyPageStreak = 0;
+    
+    // Results for an old search must not land in the new feed
+    if (searchController) {
+        searchController.abort();
+    }
+    searchController = new AbortController();
+    updateSearchControls();
     
     if (showingFavorites) {
         // Just render favorites from storage
-        const favoriteVideos = allVideos.filter(v => isInCollection('favorites', v.id));
-        
-        renderVideos(
-            favoriteVideos,
-            handleFavoriteToggle,
-            selectVideo,
-            (id) => isInCollection('favorites', id)
-        );
+        renderFeed(true);
     } else {
+        // Drop requests for the old query so they can't append to the new one
+        cancelFeedRequests();
+        isLoading = false;
+        hideLoading();
+        
         // Clear current videos and load new ones
         allVideos = [];
         document.getElementById('video-grid').innerHTML = '';
@@ -797,9 +1310,5 @@ document.addEventListener('DOMContentLoaded', initApp);
 // For exposing closeLightbox to global scope
 window.closeLightbox = closeLightbox;
 window.navigate = (direction) => {
-    const videos = showingFavorites ? 
-        allVideos.filter(v => isInCollection('favorites', v.id)) : 
-        allVideos;
-    
-    navigate(direction, videos, isMuted, (id) => isInCollection('favorites', id), handleFavoriteToggle);
+    navigate(direction, getVisibleVideos(), isMuted, (id) => isInCollection('favorites', id), handleFavoriteToggle);
 };
\ No newline at end of file
@@ -1,25 +1,43 @@
 /**
  * mobile-main.js - Mobile-optimized version for iOS Safari
  */
-import { DEFAULT_SUBREDDITS, fetchRedditVideos } from './api.js';
+import {
+    DEFAULT_SUBREDDITS, fetchRedditVideos, createBalancedFeed, fetchBalancedVideos,
+    cancelFeedRequests, usesTimeFilter, validateSortSettings
+} from './api.js';
 import { loadSettings, saveSettings, loadFavorites, saveFavorites } from './storage.js';
-import { showError, showLoading, hideLoading } from './ui.js';
+import {
+    showError, showLoading, hideLoading, initApiStatus, createMediaBadges, applyContentWarning,
+    highlightTerms
+} from './ui.js';
+import { DEFAULT_MEDIA_FILTERS, matchesMediaFilters } from './providers.js';
+import { mergeDuplicates } from './dedupe.js';
+import { parseSource, getSourceLabel, groupSources } from './sources.js';
+import { initSubredditAutocomplete } from './autocomplete.js';
+import { parseQuery, filterByQuery } from './query-parser.js';
+
+// Pages in a row that filters may empty before we stop fetching ahead
+const MAX_EMPTY_PAGES = 5;
 
 // App state
 let allVideos = [];
 let userSubreddits = [];
 let activeSubreddits = [];
 let afterToken = null;
+let balancedFeed = null;
 let isLoading = false;
 let hasMore = true;
+let emptyPageStreak = 0;
 let favoriteVideos = [];
 let searchTimeout;
+let searchQuery = '';
 let isMuted = true;
 let currentSettings = {
     sort: 'hot',
     time: 'week',
     subreddits: [],
-    compactView: false
+    compactView: false,
+    mediaFilters: { ...DEFAULT_MEDIA_FILTERS }
 };
 
 /**
@@ -36,10 +54,12 @@ function initializeMobileApp() {
         sort: 'hot',
         time: 'week',
         subreddits: [],
-        compactView: false
+        compactView: false,
+        mediaFilters: { ...DEFAULT_MEDIA_FILTERS }
     };
     
-    currentSettings = loadSettings(defaultSettings);
+    currentSettings = validateSortSettings(loadSettings(defaultSettings));
+    currentSettings.mediaFilters = { ...DEFAULT_MEDIA_FILTERS, ...currentSettings.mediaFilters };
     
     // Load favorites
     favoriteVideos = loadFavorites();
@@ -47,6 +67,9 @@ function initializeMobileApp() {
     // Initialize event listeners
     initMobileEventListeners();
     
+    // Surface rate-limit cooldowns
+    initApiStatus();
+    
     // Get subreddit list from settings
     userSubreddits = currentSettings.subreddits.map(sub => sub.name);
     activeSubreddits = [...userSubreddits]; // Start with all active
@@ -93,6 +116,7 @@ function initMobileEventListeners() {
                 quickAddSubreddit();
             }
         });
+        initSubredditAutocomplete(quickAddInput, quickAddSubreddit);
     }
     
     // Sort buttons
@@ -101,15 +125,7 @@ function initMobileEventListeners() {
         button.addEventListener('click', () => {
             currentSettings.sort = button.dataset.sort;
             
-            // Update active state
-            buttons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            // Show/hide time filter
-            const timeSelect = document.getElementById('time-select');
-            if (timeSelect) {
-                timeSelect.style.display = currentSettings.sort === 'top' ? 'block' : 'none';
-            }
+            updateMobileSortControls();
             
             saveSettings(currentSettings);
             refreshContent();
@@ -119,6 +135,7 @@ function initMobileEventListeners() {
     // Time select
     const timeSelect = document.getElementById('time-select');
     if (timeSelect) {
+        timeSelect.value = currentSettings.time;
         timeSelect.addEventListener('change', () => {
             currentSettings.time = timeSelect.value;
             saveSettings(currentSettings);
@@ -126,18 +143,37 @@ function initMobileEventListeners() {
         });
     }
     
+    // Reflect the saved sort
+    updateMobileSortControls();
+    
+    // Duration and orientation filters
+    const mediaFilterSelects = {
+        minDuration: document.getElementById('min-duration-select'),
+        maxDuration: document.getElementById('max-duration-select'),
+        orientation: document.getElementById('orientation-select')
+    };
+    Object.entries(mediaFilterSelects).forEach(([key, select]) => {
+        if (!select) return;
+        
+        select.value = String(currentSettings.mediaFilters[key]);
+        select.addEventListener('change', () => {
+            currentSettings.mediaFilters[key] = key === 'orientation' ? select.value : Number(select.value);
+            saveSettings(currentSettings);
+            
+            const showingFavorites = document.getElementById('favorites-toggle').classList.contains('active');
+            renderMobileVideos(showingFavorites ? favoriteVideos : allVideos);
+        });
+    });
+    
     // Search input
     const searchInput = document.getElementById('search');
     if (searchInput) {
         searchInput.addEventListener('input', function(e) {
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
-                const query = e.target.value.toLowerCase();
-                const filtered = allVideos.filter(video => 
-                    video.title.toLowerCase().includes(query) ||
-                    video.subreddit.toLowerCase().includes(query)
-                );
-                renderMobileVideos(filtered);
+                searchQuery = e.target.value.trim();
+                const showingFavorites = document.getElementById('favorites-toggle').classList.contains('active');
+                renderMobileVideos(showingFavorites ? favoriteVideos : allVideos);
             }, 300);
         });
     }
@@ -251,9 +287,14 @@ function loadDefaultSubreddits() {
  */
 function quickAddSubreddit() {
     const input = document.getElementById('quick-subreddit-input');
-    const subreddit = input.value.trim().replace(/^r\//i, '');
+    const subreddit = parseSource(input.value);
     
-    if (!subreddit) return;
+    if (!subreddit) {
+        if (input.value.trim()) {
+            showError('Enter a subreddit (r/name), a user (u/name) or a multireddit URL');
+        }
+        return;
+    }
     
     // Add to subreddit list if not already there
     if (!userSubreddits.includes(subreddit)) {
@@ -335,7 +376,7 @@ function renderMobileSubredditTags() {
         
         // Create the name span
         const nameSpan = document.createElement('span');
-        nameSpan.textContent = `r/${sub}`;
+        nameSpan.textContent = getSourceLabel(sub);
         nameSpan.className = 'subreddit-name';
         nameSpan.addEventListener('click', () => toggleActiveSubreddit(sub));
         tag.appendChild(nameSpan);
@@ -390,15 +431,24 @@ function createMobileVideoCard(video) {
     container.appendChild(playIcon);
     container.appendChild(favButton);
     
+    const badges = createMediaBadges(video);
+    if (badges) {
+        container.appendChild(badges);
+    }
+    
+    applyContentWarning(container, video);
+    
     const metadata = document.createElement('div');
     metadata.className = 'metadata';
     metadata.innerHTML = `
         <div class="title">${video.title}</div>
         <div class="details">
             <span>r/${video.subreddit}</span>
-            <span>↑ ${video.upvotes}</span>
+            <span>↑ ${video.combinedScore || video.upvotes}</span>
             <span>${video.created}</span>
         </div>
+        ${video.alsoIn && video.alsoIn.length > 0 ?
+            `<div class="also-in">also in ${video.alsoIn.map(name => `r/${name}`).join(', ')}</div>` : ''}
     `;
 
     // Open Reddit post in new tab instead of using lightbox
@@ -412,12 +462,14 @@ function createMobileVideoCard(video) {
 }
 
 /**
- * Render videos for mobile
+ * Render videos for mobile, after the search query and the duration and orientation filters
  */
 function renderMobileVideos(videos) {
     const grid = document.getElementById('video-grid');
     if (!grid) return;
     
+    videos = filterByQuery(videos, searchQuery)
+        .filter(video => matchesMediaFilters(video, currentSettings.mediaFilters));
     grid.innerHTML = '';
     
     if (videos.length === 0) {
@@ -425,13 +477,30 @@ function renderMobileVideos(videos) {
         return;
     }
     
+    const { terms } = parseQuery(searchQuery);
     const fragment = document.createDocumentFragment();
     videos.forEach(video => {
-        fragment.appendChild(createMobileVideoCard(video));
+        const card = createMobileVideoCard(video);
+        highlightTerms(card.querySelector('.title'), terms);
+        fragment.appendChild(card);
     });
     grid.appendChild(fragment);
 }
 
+/**
+ * Mark the active sort button and enable the time filter only for sorts that use it
+ */
+function updateMobileSortControls() {
+    document.querySelectorAll('.sort-button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.sort === currentSettings.sort);
+    });
+    
+    const timeSelect = document.getElementById('time-select');
+    if (timeSelect) {
+        timeSelect.disabled = !usesTimeFilter(currentSettings.sort);
+    }
+}
+
 /**
  * Load more videos
  */
@@ -441,50 +510,103 @@ async function loadMoreVideos() {
     isLoading = true;
     showLoading();
     
-    fetchRedditVideos(
-        activeSubreddits,
-        currentSettings,
-        afterToken,
-        (newVideos, newAfterToken, more) => {
-            afterToken = newAfterToken;
-            hasMore = more;
+    // Videos painted by this request, so a later revalidation can tell if the feed moved on
+    let paintedVideos = null;
+    const isFirstPage = afterToken === null;
+    
+    const onSuccess = (newVideos, newAfterToken, more) => {
+        afterToken = newAfterToken;
+        hasMore = more;
+        
+        // Collapse reposts and crossposts of clips already in the feed
+        const merged = mergeDuplicates(allVideos, newVideos);
+        
+        if (merged.added.length === 0) {
+            allVideos = merged.videos;
             
-            if (newVideos.length === 0) {
-                if (allVideos.length === 0) {
-                    document.getElementById('video-grid').innerHTML = '<div style="text-align: center; grid-column: 1/-1; padding: 40px;">No videos found. Try selecting different subreddits.</div>';
-                }
+            // Every post on this page was filtered out or already shown - keep going rather than stall
+            if (more && emptyPageStreak < MAX_EMPTY_PAGES) {
+                emptyPageStreak++;
                 isLoading = false;
-                hideLoading();
+                loadMoreVideos();
                 return;
             }
             
-            // If this is showing favorites, don't update allVideos display
-            if (document.getElementById('favorites-toggle').classList.contains('active')) {
-                // Just update the underlying data
-                allVideos = [...allVideos, ...newVideos];
-            } else {
-                allVideos = [...allVideos, ...newVideos];
-                renderMobileVideos(allVideos);
+            emptyPageStreak = 0;
+            if (allVideos.length === 0) {
+                document.getElementById('video-grid').innerHTML = '<div style="text-align: center; grid-column: 1/-1; padding: 40px;">No videos found. Try selecting different subreddits.</div>';
             }
-            
             isLoading = false;
             hideLoading();
-        },
-        (error) => {
-            showError(`Failed to load content: ${error.message}`);
-            isLoading = false;
-            hideLoading();
-            hasMore = false;
+            return;
+        }
+        
+        emptyPageStreak = 0;
+        
+        allVideos = merged.videos;
+        
+        // If this is showing favorites, don't update allVideos display
+        if (!document.getElementById('favorites-toggle').classList.contains('active')) {
+            renderMobileVideos(allVideos);
+        }
+        paintedVideos = allVideos;
+        
+        isLoading = false;
+        hideLoading();
+    };
+    
+    const onError = (error) => {
+        showError(`Failed to load content: ${error.message}`);
+        isLoading = false;
+        hideLoading();
+        hasMore = false;
+    };
+    
+    // Swap a stale cached first page for fresh results if nothing changed since
+    const onRevalidate = (freshVideos, freshAfterToken, more) => {
+        if (paintedVideos === null || allVideos !== paintedVideos) return;
+        
+        afterToken = freshAfterToken;
+        hasMore = more;
+        allVideos = mergeDuplicates([], freshVideos).videos;
+        paintedVideos = allVideos;
+        
+        if (!document.getElementById('favorites-toggle').classList.contains('active')) {
+            renderMobileVideos(allVideos);
         }
-    );
+    };
+    
+    // Profiles can't share a listing with subreddits, so mixed feeds keep a cursor per group
+    if (groupSources(activeSubreddits).length > 1) {
+        if (!balancedFeed) {
+            balancedFeed = createBalancedFeed(activeSubreddits, currentSettings);
+        }
+        fetchBalancedVideos(balancedFeed, currentSettings, onSuccess, onError, onRevalidate);
+    } else {
+        fetchRedditVideos(
+            activeSubreddits,
+            currentSettings,
+            afterToken,
+            onSuccess,
+            onError,
+            isFirstPage ? onRevalidate : null
+        );
+    }
 }
 
 /**
  * Refresh content, resetting videos
  */
 function refreshContent() {
+    // Drop requests for the old query so they can't append to the new one
+    cancelFeedRequests();
+    isLoading = false;
+    hideLoading();
+    
     afterToken = null;
+    balancedFeed = null;
     hasMore = true;
+    emptyPageStreak = 0;
     allVideos = [];
     document.getElementById('video-grid').innerHTML = '';
     loadMoreVideos();
@@ -1,7 +1,10 @@
 /**
  * profile-ui.js - User profile and collections UI components
  */
-import { isAuthenticated, initiateLogin, logout, getUserData } from './auth.js';
+import {
+    isAuthenticated, initiateLogin, logout, getUserData, getMultireddits, getSubscribedSubreddits,
+    getAuthConfig, setAuthConfig, isAuthConfigured, getAccounts, switchAccount
+} from './auth.js';
 import { 
     getCollections, 
     createCollection, 
@@ -11,7 +14,9 @@ import {
     getWatchHistory,
     clearWatchHistory
 } from './content-manager.js';
-import { showToast } from './ui.js';
+import { showToast, applyContentWarning, highlightTerms } from './ui.js';
+import { parseQuery, matchesQuery } from './query-parser.js';
+import { isSyncEnabled, setSyncEnabled } from './subscriptions.js';
 
 /**
  * Create the user profile UI
@@ -28,6 +33,9 @@ function createProfileUI() {
     document.addEventListener('reddit-logout', () => {
         updateProfileUI(profileContainer);
     });
+    document.addEventListener('reddit-account-change', () => {
+        updateProfileUI(profileContainer);
+    });
     
     return profileContainer;
 }
@@ -40,6 +48,7 @@ function createProfileUI() {
 function updateProfileUI(container) {
     if (isAuthenticated()) {
         const userData = getUserData();
+        const accounts = getAccounts();
         
         container.innerHTML = `
             <div class="profile-header">
@@ -53,24 +62,147 @@ function updateProfileUI(container) {
                 </div>
                 <button id="logout-button" class="secondary-button">Logout</button>
             </div>
+            <div class="account-switcher">
+                ${accounts.length > 1 ? `
+                    <label for="account-select" class="visually-hidden">Account</label>
+                    <select id="account-select">
+                        ${accounts.map(account => `
+                            <option value="${account.name}" ${account.name === userData.name ? 'selected' : ''}>u/${account.name}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+                <button id="add-account-button" class="secondary-button"
+                    title="Reddit logs in whoever is signed in on reddit.com - switch accounts there first">Add account</button>
+            </div>
+            <div class="profile-actions">
+                <button id="import-subs-button" class="secondary-button">Import my subscriptions</button>
+                <button id="import-multis-button" class="secondary-button">Import my multireddits</button>
+                <label class="subscription-sync" title="Syncs now and each time you log in to this account">
+                    <input type="checkbox" id="subscription-sync" ${isSyncEnabled(userData.name) ? 'checked' : ''}>
+                    Keep the subreddit bar and u/${userData.name}'s subscriptions in sync
+                </label>
+            </div>
         `;
         
         // Add event listener for logout
         container.querySelector('#logout-button').addEventListener('click', () => {
             logout();
-            showToast('Logged out successfully', 'info');
+            showToast(`Logged out u/${userData.name}`, 'info');
+        });
+        
+        // Switching re-renders this and the collections through 'reddit-account-change'
+        const accountSelect = container.querySelector('#account-select');
+        if (accountSelect) {
+            accountSelect.addEventListener('change', () => {
+                switchAccount(accountSelect.value);
+                showToast(`Switched to u/${accountSelect.value}`, 'info');
+            });
+        }
+        
+        container.querySelector('#add-account-button').addEventListener('click', () => {
+            initiateLogin().catch(error => showToast(error.message, 'error'));
+        });
+        
+        // Subscriptions and multis are added to the subreddit bar by whoever owns the feed state
+        const importSubsButton = container.querySelector('#import-subs-button');
+        importSubsButton.addEventListener('click', async () => {
+            importSubsButton.disabled = true;
+            
+            try {
+                const subreddits = await getSubscribedSubreddits();
+                
+                if (subreddits.length === 0) {
+                    showToast('You aren\'t subscribed to any subreddits yet', 'info');
+                    return;
+                }
+                
+                document.dispatchEvent(new CustomEvent('add-sources', {
+                    detail: { sources: subreddits.map(sub => sub.name), subreddits }
+                }));
+                showToast(`Imported ${subreddits.length} subreddit${subreddits.length === 1 ? '' : 's'}`, 'success');
+            } catch (error) {
+                showToast(error.status === 403 ?
+                    'Log in again to allow reading your subscriptions' :
+                    'Could not load your subscriptions', 'error');
+            } finally {
+                importSubsButton.disabled = false;
+            }
+        });
+        
+        const importButton = container.querySelector('#import-multis-button');
+        importButton.addEventListener('click', async () => {
+            importButton.disabled = true;
+            
+            try {
+                const multis = await getMultireddits();
+                
+                if (multis.length === 0) {
+                    showToast('You have no multireddits yet', 'info');
+                    return;
+                }
+                
+                document.dispatchEvent(new CustomEvent('add-sources', {
+                    detail: { sources: multis.map(multi => multi.source) }
+                }));
+                showToast(`Imported ${multis.length} multireddit${multis.length === 1 ? '' : 's'}`, 'success');
+            } catch (error) {
+                showToast('Could not load your multireddits', 'error');
+            } finally {
+                importButton.disabled = false;
+            }
+        });
+        
+        // Sync is per account; the first sync after turning it on only adds, on both sides
+        container.querySelector('#subscription-sync').addEventListener('change', (e) => {
+            setSyncEnabled(e.target.checked, userData.name);
+            
+            if (e.target.checked) {
+                document.dispatchEvent(new CustomEvent('sync-subscriptions'));
+            }
         });
     } else {
+        const configured = isAuthConfigured();
+        
         container.innerHTML = `
             <div class="login-prompt">
                 <p>Sign in with Reddit to sync your favorites and access your subscribed subreddits.</p>
-                <button id="login-button" class="primary-button">Login with Reddit</button>
+                <button id="login-button" class="primary-button" ${configured ? '' : 'hidden'}>Login with Reddit</button>
+                <details class="auth-config" ${configured ? '' : 'open'}>
+                    <summary>Reddit app settings</summary>
+                    <p class="settings-hint">
+                        Create an <strong>installed app</strong> at
+                        <a href="https://www.reddit.com/prefs/apps" target="_blank" rel="noopener">reddit.com/prefs/apps</a>
+                        with the redirect URI below, then paste its client ID here.
+                    </p>
+                    <div class="form-group">
+                        <label for="auth-client-id">Client ID</label>
+                        <input type="text" id="auth-client-id" spellcheck="false" autocomplete="off">
+                    </div>
+                    <div class="form-group">
+                        <label for="auth-redirect-uri">Redirect URI</label>
+                        <input type="url" id="auth-redirect-uri" spellcheck="false" autocomplete="off">
+                    </div>
+                    <button id="save-auth-config" class="secondary-button">Save</button>
+                </details>
             </div>
         `;
         
+        // Set as values so nothing typed ends up parsed as markup
+        const config = getAuthConfig();
+        const clientIdInput = container.querySelector('#auth-client-id');
+        const redirectInput = container.querySelector('#auth-redirect-uri');
+        clientIdInput.value = config.clientId;
+        redirectInput.value = config.redirectUri;
+        
+        container.querySelector('#save-auth-config').addEventListener('click', () => {
+            setAuthConfig({ clientId: clientIdInput.value, redirectUri: redirectInput.value });
+            updateProfileUI(container);
+            showToast(isAuthConfigured() ? 'Reddit app saved' : 'Client ID cleared', 'info');
+        });
+        
         // Add event listener for login
         container.querySelector('#login-button').addEventListener('click', () => {
-            initiateLogin();
+            initiateLogin().catch(error => showToast(error.message, 'error'));
         });
     }
 }
@@ -108,6 +240,11 @@ function createCollectionsUI(onSelectCollection) {
     
     updateCollectionsUI(collectionsContainer, onSelectCollection);
     
+    // Each account has its own collections
+    document.addEventListener('reddit-account-change', () => {
+        updateCollectionsUI(collectionsContainer, onSelectCollection);
+    });
+    
     return collectionsContainer;
 }
 
@@ -539,10 +676,12 @@ function updateWatchHistoryUI(container, onSelectVideo, allVideos) {
     
     // Add event listeners for history items
     container.querySelectorAll('.history-item').forEach(item => {
+        const video = history.find(v => v.id === item.dataset.id);
+        if (video) {
+            applyContentWarning(item.querySelector('.history-thumbnail'), video);
+        }
+        
         item.addEventListener('click', () => {
-            const videoId = item.dataset.id;
-            const video = history.find(v => v.id === videoId);
-            
             if (video && onSelectVideo) {
                 onSelectVideo(video);
             }
@@ -633,6 +772,8 @@ function showFullHistoryDialog(history, onSelectVideo) {
                 <button class="close-dialog-button">×</button>
             </div>
             <div class="dialog-content">
+                <input type="search" class="history-search" placeholder="Search history..."
+                    title='Words, "phrases", -exclude, a OR b, sub:name, author:name, domain:site'>
                 <div class="full-history-list">
                     ${history.map(video => `
                         <div class="history-item" data-id="${video.id}">
@@ -649,12 +790,34 @@ function showFullHistoryDialog(history, onSelectVideo) {
                         </div>
                     `).join('')}
                 </div>
+                <p class="history-no-results empty-subtext" hidden>No videos match your search</p>
             </div>
         </div>
     `;
     
     document.body.appendChild(overlay);
     
+    const searchInput = overlay.querySelector('.history-search');
+    searchInput.addEventListener('input', () => {
+        const query = parseQuery(searchInput.value);
+        let visibleCount = 0;
+        
+        overlay.querySelectorAll('.history-item').forEach(item => {
+            const video = history.find(v => v.id === item.dataset.id);
+            const matches = Boolean(video) && matchesQuery(video, query);
+            item.hidden = !matches;
+            
+            if (matches) {
+                visibleCount++;
+                const title = item.querySelector('.history-title');
+                title.textContent = video.title;
+                highlightTerms(title, query.terms);
+            }
+        });
+        
+        overlay.querySelector('.history-no-results').hidden = visibleCount > 0;
+    });
+    
     // Add event listeners
     const closeDialog = () => {
         overlay.remove();
@@ -664,10 +827,12 @@ function showFullHistoryDialog(history, onSelectVideo) {
     
     // Add event listeners for history items
     overlay.querySelectorAll('.history-item').forEach(item => {
+        const video = history.find(v => v.id === item.dataset.id);
+        if (video) {
+            applyContentWarning(item.querySelector('.history-thumbnail'), video);
+        }
+        
         item.addEventListener('click', () => {
-            const videoId = item.dataset.id;
-            const video = history.find(v => v.id === videoId);
-            
             if (video && onSelectVideo) {
                 onSelectVideo(video);
                 closeDialog();
@@ -725,5 +890,6 @@ export {
     createWatchHistoryUI,
     updateProfileUI,
     updateCollectionsUI,
-    updateWatchHistoryUI
+    updateWatchHistoryUI,
+    formatTimeAgo
 };
\ No newline at end of file
@@ -0,0 +1,566 @@
+/**
+ * providers.js - Media provider registry and Reddit post normalization
+ *
+ * Every feed (main grid, saved posts, trending, recommendations, search)
+ * turns raw Reddit listings into video objects through this module, so the
+ * shape of a video is defined in exactly one place.
+ */
+
+import { saveNsfwMode, loadNsfwMode } from './storage.js';
+
+const FALLBACK_THUMBNAIL = 'https://www.redditstatic.com/mweb2x/img/camera.png';
+
+// How posts flagged over_18 are treated: dropped, blurred until clicked, or shown as-is
+const NSFW_MODES = ['hide', 'blur', 'show'];
+
+// Duration and orientation filters that let everything through
+const DEFAULT_MEDIA_FILTERS = { minDuration: 0, maxDuration: 0, orientation: 'any' };
+
+/**
+ * Check whether a post's domain contains any of the given hosts
+ *
+ * @param {Object} data - Reddit post data
+ * @param {Array<string>} hosts - Host fragments to look for
+ * @returns {boolean} - Whether the domain matches
+ */
+function domainMatches(data, hosts) {
+    return Boolean(data.domain) && hosts.some(host => data.domain.includes(host));
+}
+
+/**
+ * Check whether a URL contains any of the given hosts
+ *
+ * @param {string} url - URL to check
+ * @param {Array<string>} hosts - Host fragments to look for
+ * @returns {boolean} - Whether the URL matches
+ */
+function urlMatches(url, hosts) {
+    return typeof url === 'string' && hosts.some(host => url.includes(host));
+}
+
+/**
+ * Extract a YouTube video ID from any of the common URL formats
+ *
+ * @param {string} url - YouTube URL
+ * @returns {string|null} - Video ID or null if not found
+ */
+function extractYouTubeId(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    try {
+        if (url.includes('youtu.be/')) {
+            // youtu.be/VIDEO_ID format
+            const id = url.split('youtu.be/')[1].split(/[?&#/]/)[0];
+            return id || null;
+        }
+
+        // youtube.com/watch?v=VIDEO_ID format
+        const match = url.match(/[?&]v=([^&#]*)/);
+        if (match && match[1]) return match[1];
+
+        // youtube.com/embed/VIDEO_ID and youtube.com/shorts/VIDEO_ID formats
+        const pathMatch = url.match(/\/(?:embed|shorts)\/([^/?#]+)/);
+        return pathMatch ? pathMatch[1] : null;
+    } catch (e) {
+        console.error('YouTube URL parsing error:', e);
+        return null;
+    }
+}
+
+/**
+ * Extract the last path segment of a URL (used for RedGifs and Gfycat IDs)
+ *
+ * @param {string} url - Media URL
+ * @returns {string|null} - Last path segment without query string
+ */
+function extractLastPathSegment(url) {
+    if (!url || typeof url !== 'string') return null;
+    const segment = url.split('?')[0].split('#')[0].split('/').filter(Boolean).pop();
+    return segment || null;
+}
+
+/**
+ * Get the src attribute from an oEmbed HTML snippet
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {string|null} - Iframe src or null
+ */
+function getOembedSrc(data) {
+    const html = data.secure_media && data.secure_media.oembed && data.secure_media.oembed.html;
+    const srcMatch = html && html.match(/src="([^"]+)"/);
+    return srcMatch ? srcMatch[1].replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Pick the best thumbnail from a post's preview images
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {string} - Thumbnail URL
+ */
+function getPreviewThumbnail(data) {
+    if (data.preview && data.preview.images && data.preview.images[0]) {
+        // Try to get the highest quality preview without being too large
+        const previews = data.preview.images[0].resolutions || [];
+        const mediumPreview = previews.find(p => p.width >= 640) ||
+                             previews[previews.length - 1];
+
+        return mediumPreview ?
+            mediumPreview.url.replace(/&amp;/g, '&') :
+            data.preview.images[0].source.url.replace(/&amp;/g, '&');
+    }
+
+    if (data.thumbnail && data.thumbnail.startsWith('http')) {
+        return data.thumbnail;
+    }
+
+    return FALLBACK_THUMBNAIL;
+}
+
+/**
+ * Get a post's media dimensions from the best available source
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {Object} - { width, height } (null when unknown)
+ */
+function getDimensions(data) {
+    const redditVideo = data.media && data.media.reddit_video;
+    const oembed = data.secure_media && data.secure_media.oembed;
+    const previewSource = data.preview && data.preview.images && data.preview.images[0] &&
+        data.preview.images[0].source;
+
+    const source = [redditVideo, oembed, previewSource].find(s => s && s.width > 0 && s.height > 0);
+    return source ? { width: source.width, height: source.height } : { width: null, height: null };
+}
+
+/**
+ * Classify media dimensions as vertical, horizontal or square
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string|null} - Orientation or null when unknown
+ */
+function getOrientation(width, height) {
+    if (!width || !height) return null;
+
+    const ratio = width / height;
+    if (ratio > 1.1) return 'horizontal';
+    if (ratio < 0.9) return 'vertical';
+    return 'square';
+}
+
+/**
+ * Check whether a video passes the duration and orientation filters
+ *
+ * Videos whose duration or dimensions are unknown (most embeds) pass,
+ * since there's nothing to judge them on.
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object} filters - { minDuration, maxDuration (seconds, 0 = off), orientation ('any' or a shape) }
+ * @returns {boolean} - Whether the video should be shown
+ */
+function matchesMediaFilters(video, filters) {
+    if (!filters) return true;
+
+    const { minDuration, maxDuration, orientation } = { ...DEFAULT_MEDIA_FILTERS, ...filters };
+
+    if (typeof video.duration === 'number') {
+        if (minDuration > 0 && video.duration < minDuration) return false;
+        if (maxDuration > 0 && video.duration > maxDuration) return false;
+    }
+
+    if (orientation !== 'any' && video.orientation && video.orientation !== orientation) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get the post that actually carries the media
+ *
+ * Crossposts keep their media (reddit_video, preview, oEmbed, url) on the
+ * original post in `crosspost_parent_list`, not on themselves.
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {Object} - The original post for crossposts, otherwise the post itself
+ */
+function getMediaSource(data) {
+    const parent = Array.isArray(data.crosspost_parent_list) ? data.crosspost_parent_list[0] : null;
+    return parent || data;
+}
+
+/**
+ * Build a key that is the same for every post sharing the same clip
+ *
+ * Uses the provider's media id where it has one, otherwise the playback URL
+ * without protocol, www and query string.
+ *
+ * @param {MediaProvider} provider - Provider that matched the post
+ * @param {Object} data - Reddit post data
+ * @returns {string|null} - Media key
+ */
+function getMediaKey(provider, data) {
+    const mediaId = provider.getMediaId ? provider.getMediaId(data) : null;
+    if (mediaId) return `${provider.id}:${mediaId}`;
+
+    const url = provider.getPlaybackUrl(data);
+    if (!url) return null;
+
+    return `url:${url.split(/[?#]/)[0].replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '').toLowerCase()}`;
+}
+
+/**
+ * Media provider definition
+ * @typedef {Object} MediaProvider
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {function(Object): boolean} match - Whether a Reddit post belongs to this provider
+ * @property {function(string): boolean} matchUrl - Whether a media URL belongs to this provider
+ * @property {function(Object): string} getPlaybackUrl - URL stored on the video object
+ * @property {function(Object): string} [getThumbnail] - Thumbnail override
+ * @property {function(string, boolean): string} getEmbedUrl - Iframe URL for the lightbox
+ * @property {function(Object): (string|null)} [getMediaId] - Provider-specific id of the underlying clip, used to spot duplicates
+ */
+
+/**
+ * Native Reddit videos hosted on v.redd.it
+ * @type {MediaProvider}
+ */
+const redditProvider = {
+    id: 'reddit',
+    name: 'Reddit',
+    match: data => Boolean(data.is_video && data.media && data.media.reddit_video),
+    matchUrl: url => urlMatches(url, ['v.redd.it']),
+    getPlaybackUrl: data => data.url,
+    getEmbedUrl: url => url,
+    getMediaId: data => {
+        const source = `${data.media.reddit_video.fallback_url || ''} ${data.url || ''}`;
+        const match = source.match(/v\.redd\.it\/([^/?#\s]+)/);
+        return match ? match[1] : null;
+    }
+};
+
+/**
+ * YouTube videos and shorts
+ * @type {MediaProvider}
+ */
+const youtubeProvider = {
+    id: 'youtube',
+    name: 'YouTube',
+    match: data => domainMatches(data, ['youtube.com', 'youtu.be']),
+    matchUrl: url => urlMatches(url, ['youtube.com', 'youtu.be']),
+    getPlaybackUrl: data => data.url,
+    getThumbnail: data => {
+        const thumbnail = getPreviewThumbnail(data);
+        if (thumbnail !== FALLBACK_THUMBNAIL) return thumbnail;
+
+        const videoId = extractYouTubeId(data.url);
+        return videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : thumbnail;
+    },
+    getEmbedUrl: (url, muted) => {
+        const videoId = extractYouTubeId(url);
+        if (!videoId) return url;
+        // enablejsapi lets the lightbox seek the player (e.g. from comment timestamps)
+        return `https://www.youtube.com/embed/${videoId}?autoplay=1&mute=${muted ? '1' : '0'}&playsinline=1&rel=0&enablejsapi=1`;
+    },
+    getMediaId: data => extractYouTubeId(data.url)
+};
+
+/**
+ * RedGifs clips, always played through their iframe player
+ * @type {MediaProvider}
+ */
+const redgifsProvider = {
+    id: 'redgifs',
+    name: 'RedGifs',
+    match: data => domainMatches(data, ['redgifs.com']),
+    matchUrl: url => urlMatches(url, ['redgifs.com']),
+    getPlaybackUrl: data => redgifsProvider.getEmbedUrl(data.url, true),
+    getEmbedUrl: (url, muted) => {
+        const id = extractLastPathSegment(url);
+        return `https://www.redgifs.com/ifr/${id}?autoplay=1&muted=${muted ? '1' : '0'}&controls=1`;
+    },
+    getMediaId: data => {
+        const id = extractLastPathSegment(data.url);
+        return id ? id.toLowerCase() : null;
+    }
+};
+
+/**
+ * Gfycat clips
+ * @type {MediaProvider}
+ */
+const gfycatProvider = {
+    id: 'gfycat',
+    name: 'Gfycat',
+    match: data => domainMatches(data, ['gfycat.com']),
+    matchUrl: url => urlMatches(url, ['gfycat.com']),
+    getPlaybackUrl: data => data.url,
+    getEmbedUrl: (url, muted) => {
+        const segment = extractLastPathSegment(url);
+        const gfycatId = segment && segment.split('-')[0];
+        if (!gfycatId) return url;
+        return `https://gfycat.com/ifr/${gfycatId}?autoplay=1&muted=${muted ? '1' : '0'}`;
+    },
+    getMediaId: data => {
+        const segment = extractLastPathSegment(data.url);
+        return segment ? segment.split('-')[0].toLowerCase() : null;
+    }
+};
+
+/**
+ * Any other embed Reddit resolved through oEmbed (Streamable, Twitch, Vimeo...)
+ * @type {MediaProvider}
+ */
+const oembedProvider = {
+    id: 'oembed',
+    name: 'Embed',
+    match: data => Boolean(data.secure_media && data.secure_media.oembed),
+    matchUrl: () => false,
+    getPlaybackUrl: data => getOembedSrc(data) || data.url,
+    getEmbedUrl: url => url
+};
+
+/**
+ * Direct GIF, GIFV and MP4 links
+ * @type {MediaProvider}
+ */
+const gifProvider = {
+    id: 'gif',
+    name: 'GIF',
+    match: data => gifProvider.matchUrl(data.url),
+    matchUrl: url => typeof url === 'string' && /\.(gifv?|mp4)$/i.test(url.split('?')[0]),
+    getPlaybackUrl: data => data.url,
+    getEmbedUrl: url => url
+};
+
+// Providers are checked in order, so more specific ones come first
+const providers = [
+    redditProvider,
+    youtubeProvider,
+    redgifsProvider,
+    gfycatProvider,
+    oembedProvider,
+    gifProvider
+];
+
+/**
+ * Register an additional media provider
+ *
+ * @param {MediaProvider} provider - Provider definition
+ * @param {boolean} prepend - Whether to check it before the built-in providers
+ */
+function registerProvider(provider, prepend = false) {
+    if (!provider || !provider.id || typeof provider.match !== 'function') {
+        throw new Error('Invalid media provider');
+    }
+
+    // Replace an existing provider with the same ID
+    const existingIndex = providers.findIndex(p => p.id === provider.id);
+    if (existingIndex !== -1) {
+        providers.splice(existingIndex, 1);
+    }
+
+    if (prepend) {
+        providers.unshift(provider);
+    } else {
+        providers.push(provider);
+    }
+}
+
+/**
+ * Get a provider by ID
+ *
+ * @param {string} id - Provider ID
+ * @returns {MediaProvider|null} - Provider or null
+ */
+function getProviderById(id) {
+    return providers.find(p => p.id === id) || null;
+}
+
+/**
+ * Find the provider that handles a Reddit post
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {MediaProvider|null} - Matching provider or null
+ */
+function getProviderForPost(data) {
+    if (!data) return null;
+
+    const source = getMediaSource(data);
+    return providers.find(provider => provider.match(source)) || null;
+}
+
+/**
+ * Find the provider that handles a media URL
+ *
+ * @param {string} url - Media URL
+ * @returns {MediaProvider|null} - Matching provider or null
+ */
+function getProviderForUrl(url) {
+    return providers.find(provider => provider.matchUrl && provider.matchUrl(url)) || null;
+}
+
+/**
+ * Check if a post contains video content
+ *
+ * @param {Object} data - Reddit post data
+ * @returns {boolean} - Is video post
+ */
+function isVideoPost(data) {
+    return getProviderForPost(data) !== null;
+}
+
+/**
+ * Build the iframe URL used to play a video in the lightbox
+ *
+ * @param {string} url - Video URL
+ * @param {boolean} muted - Whether the video should be muted
+ * @returns {string} - Embeddable URL
+ */
+function getEmbedUrl(url, muted = true) {
+    const provider = getProviderForUrl(url);
+    return provider ? provider.getEmbedUrl(url, muted) : url;
+}
+
+/**
+ * Convert a Reddit post into the video object used throughout the app
+ *
+ * @param {Object} data - Reddit post data (the `data` of a t3 listing child)
+ * @returns {Object|null} - Normalized video or null if the post has no playable media
+ */
+function normalizePost(data) {
+    const provider = getProviderForPost(data);
+    if (!provider) return null;
+
+    // Media comes from the original post; title, score and links stay the crosspost's own
+    const source = getMediaSource(data);
+    const isReddit = provider.id === 'reddit';
+    const redditVideo = isReddit ? source.media.reddit_video : null;
+    const { width, height } = getDimensions(source);
+
+    // Reddit serves audio as a separate DASH track next to the video
+    let audioUrl = null;
+    if (redditVideo && redditVideo.fallback_url) {
+        const videoBaseUrl = redditVideo.fallback_url.split('DASH_')[0];
+        audioUrl = `${videoBaseUrl}DASH_audio.mp4`;
+    }
+
+    return {
+        id: data.id,
+        title: data.title,
+        subreddit: data.subreddit,
+        url: provider.getPlaybackUrl(source),
+        thumbnail: provider.getThumbnail ? provider.getThumbnail(source) : getPreviewThumbnail(source),
+        upvotes: data.ups,
+        likes: data.likes ?? null, // true, false or null: the logged-in user's vote
+        comments: data.num_comments,
+        created: new Date(data.created_utc * 1000).toLocaleDateString(),
+        isVideo: true, // All are treated as "video" for the purpose of the lightbox
+        isReddit,
+        provider: provider.id,
+        fallbackUrl: redditVideo ? redditVideo.fallback_url : null,
+        audioUrl,
+        // Adaptive manifests (audio and video in one stream) for the lightbox player
+        hlsUrl: redditVideo && redditVideo.hls_url ? redditVideo.hls_url.replace(/&amp;/g, '&') : null,
+        dashUrl: redditVideo && redditVideo.dash_url ? redditVideo.dash_url.replace(/&amp;/g, '&') : null,
+        permalink: data.permalink,
+        author: data.author,
+        domain: source.domain || data.domain || null,
+        createdUtc: data.created_utc,
+        // Used to collapse reposts and crossposts of the same clip
+        crosspostParent: data.crosspost_parent ? data.crosspost_parent.replace(/^t3_/, '') : null,
+        mediaKey: getMediaKey(provider, source),
+        nsfw: Boolean(data.over_18 || source.over_18),
+        spoiler: Boolean(data.spoiler || source.spoiler),
+        // Media details, null when the provider doesn't report them
+        duration: redditVideo && redditVideo.duration ? redditVideo.duration : null,
+        width,
+        height,
+        orientation: getOrientation(width, height),
+        hasAudio: redditVideo && typeof redditVideo.has_audio === 'boolean' ? redditVideo.has_audio : null
+    };
+}
+
+/**
+ * Normalize the children of a Reddit listing, dropping non-video posts
+ *
+ * @param {Array} children - Listing children ({ kind, data })
+ * @returns {Array} - Normalized videos
+ */
+function normalizeListing(children) {
+    if (!Array.isArray(children)) return [];
+
+    return children
+        .filter(child => child && child.data && (!child.kind || child.kind === 't3'))
+        .map(child => normalizePost(child.data))
+        .filter(Boolean);
+}
+
+/**
+ * Get the current NSFW mode
+ *
+ * @returns {string} - 'hide', 'blur' or 'show'
+ */
+function getNsfwMode() {
+    const mode = loadNsfwMode('blur');
+    return NSFW_MODES.includes(mode) ? mode : 'blur';
+}
+
+/**
+ * Change the NSFW mode and let feeds know they need reloading
+ *
+ * @param {string} mode - 'hide', 'blur' or 'show'
+ */
+function setNsfwMode(mode) {
+    if (!NSFW_MODES.includes(mode)) return;
+
+    saveNsfwMode(mode);
+    document.dispatchEvent(new CustomEvent('nsfw-mode-change', { detail: { mode } }));
+}
+
+/**
+ * Drop NSFW videos when the mode is 'hide'
+ *
+ * Applied when results are handed out rather than before caching, so
+ * changing the mode takes effect on cached pages too.
+ *
+ * @param {Array} videos - Normalized videos
+ * @returns {Array} - Videos allowed by the NSFW mode
+ */
+function applyNsfwMode(videos) {
+    return getNsfwMode() === 'hide' ? videos.filter(video => !video.nsfw) : videos;
+}
+
+/**
+ * Whether a video's thumbnail should be blurred until the user reveals it
+ *
+ * Spoilers are always blurred; NSFW posts unless the mode is 'show'.
+ *
+ * @param {Object} video - Normalized video
+ * @returns {boolean} - Should blur
+ */
+function shouldBlurVideo(video) {
+    return Boolean(video.spoiler || (video.nsfw && getNsfwMode() !== 'show'));
+}
+
+export {
+    FALLBACK_THUMBNAIL,
+    NSFW_MODES,
+    DEFAULT_MEDIA_FILTERS,
+    registerProvider,
+    getProviderById,
+    getProviderForPost,
+    getProviderForUrl,
+    isVideoPost,
+    getEmbedUrl,
+    extractYouTubeId,
+    getOrientation,
+    matchesMediaFilters,
+    getNsfwMode,
+    setNsfwMode,
+    applyNsfwMode,
+    shouldBlurVideo,
+    normalizePost,
+    normalizeListing
+};
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * query-parser.js - Query language for searching loaded videos
+ *
+ * Supported syntax:
+ *   cat video            both words (title, subreddit or author)
+ *   "exact phrase"       the phrase as written
+ *   -excluded            anything without the word (also -field:value, -"phrase", -(group))
+ *   a OR b, a | b        either side; AND binds tighter than OR
+ *   (a OR b) c           grouping
+ *   sub:videos           subreddit (also subreddit:, r:)
+ *   author:foo           author (also user:, u:)
+ *   domain:youtube.com   post domain or provider id (also site:)
+ *   ups:>1000            score, with >, >=, <, <=, = or a bare number for "at least" (also score:)
+ *   comments:<50         comment count, same comparisons; 1.5k and 2m work too
+ *
+ * The parser never throws: a field it doesn't know or a value it can't read
+ * is searched as plain text, unbalanced parentheses and quotes are closed
+ * at the end of the query, and stray operators are ignored.
+ */
+
+const FIELD_ALIASES = {
+    sub: 'subreddit',
+    subreddit: 'subreddit',
+    r: 'subreddit',
+    author: 'author',
+    user: 'author',
+    u: 'author',
+    domain: 'domain',
+    site: 'domain',
+    ups: 'upvotes',
+    score: 'upvotes',
+    upvotes: 'upvotes',
+    comments: 'comments'
+};
+
+const NUMERIC_FIELDS = ['upvotes', 'comments'];
+
+const NUMBER_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)([km])?$/i;
+
+// Parsed queries by input, since the feed re-filters on every render
+let lastInput = null;
+let lastQuery = null;
+
+/**
+ * Split a query into tokens
+ *
+ * @param {string} input - Raw query
+ * @returns {Array<Object>} - Tokens: lparen, rparen, or, not, term
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        // i is on the opening quote; an unterminated phrase runs to the end
+        const end = input.indexOf('"', i + 1);
+        const value = input.slice(i + 1, end === -1 ? input.length : end);
+        i = end === -1 ? input.length : end + 1;
+        return value;
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(') {
+            tokens.push({ type: 'lparen' });
+            i++;
+        } else if (char === ')') {
+            tokens.push({ type: 'rparen' });
+            i++;
+        } else if (char === '|') {
+            tokens.push({ type: 'or' });
+            i++;
+        } else if (char === '-' && (i + 1 === input.length || /\s/.test(input[i + 1]))) {
+            // A dash on its own excludes nothing
+            i++;
+        } else if (char === '-' && input[i + 1] !== '-') {
+            tokens.push({ type: 'not' });
+            i++;
+        } else if (char === '"') {
+            const value = readQuoted();
+            if (value.trim()) tokens.push({ type: 'term', field: null, value, phrase: true });
+        } else {
+            let word = '';
+            while (i < input.length && !/[\s()"|]/.test(input[i])) {
+                word += input[i++];
+            }
+
+            const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+            const field = fieldMatch && FIELD_ALIASES[fieldMatch[1].toLowerCase()];
+
+            if (word === 'OR') {
+                tokens.push({ type: 'or' });
+            } else if (field && !fieldMatch[2] && input[i] === '"') {
+                // field:"quoted value"
+                tokens.push(createFieldTerm(field, readQuoted(), word));
+            } else if (field && fieldMatch[2]) {
+                tokens.push(createFieldTerm(field, fieldMatch[2], word));
+            } else if (word) {
+                tokens.push({ type: 'term', field: null, value: word, phrase: false });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Build a field term, falling back to plain text if the value doesn't fit the field
+ *
+ * @param {string} field - Canonical field name
+ * @param {string} value - Value after the colon
+ * @param {string} raw - Token as written
+ * @returns {Object} - Term token
+ */
+function createFieldTerm(field, value, raw) {
+    if (NUMERIC_FIELDS.includes(field)) {
+        const match = value.match(NUMBER_PATTERN);
+        if (!match) {
+            return { type: 'term', field: null, value: raw, phrase: false };
+        }
+
+        const multiplier = { k: 1000, m: 1000000 }[(match[3] || '').toLowerCase()] || 1;
+        return {
+            type: 'term',
+            field,
+            op: match[1] || '>=',
+            value: parseFloat(match[2]) * multiplier
+        };
+    }
+
+    const cleaned = value.trim()
+        .replace(/^\/?(r|u|user)\//i, '')
+        .replace(/^https?:\/\//i, '')
+        .replace(/^www\./i, '')
+        .toLowerCase();
+
+    return cleaned ?
+        { type: 'term', field, value: cleaned } :
+        { type: 'term', field: null, value: raw, phrase: false };
+}
+
+/**
+ * Parse tokens into a tree of and/or/not/term nodes
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Object} - Root node
+ */
+function parseTokens(tokens) {
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+        const groups = [parseAnd()];
+
+        while (peek() && peek().type === 'or') {
+            position++;
+            groups.push(parseAnd());
+        }
+
+        // "a OR" or "OR b" just drop the empty side
+        const nonEmpty = groups.filter(group => !(group.type === 'and' && group.children.length === 0));
+        if (nonEmpty.length === 0) return { type: 'and', children: [] };
+        return nonEmpty.length === 1 ? nonEmpty[0] : { type: 'or', children: nonEmpty };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            const node = parseUnary();
+            if (node) children.push(node);
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = tokens[position++];
+
+        if (token.type === 'not') {
+            // A trailing "-" or "- OR" negates nothing
+            if (!peek() || peek().type === 'or' || peek().type === 'rparen') return null;
+            const operand = parseUnary();
+            return operand ? { type: 'not', child: operand } : null;
+        }
+
+        if (token.type === 'lparen') {
+            const inner = parseOr();
+            if (peek() && peek().type === 'rparen') position++;
+            return inner.type === 'and' && inner.children.length === 0 ? null : inner;
+        }
+
+        return token;
+    };
+
+    const groups = [];
+    while (position < tokens.length) {
+        groups.push(parseOr());
+
+        // Skip a closing parenthesis that was never opened
+        if (peek() && peek().type === 'rparen') position++;
+    }
+
+    const children = groups.filter(group => !(group.type === 'and' && group.children.length === 0));
+    return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Collect plain-text terms that should be highlighted
+ *
+ * @param {Object} node - Query node
+ * @param {Array<string>} terms - Collected terms
+ * @returns {Array<string>} - The same array
+ */
+function collectTerms(node, terms = []) {
+    if (node.type === 'term') {
+        if (!node.field) terms.push(node.value);
+    } else if (node.type === 'and' || node.type === 'or') {
+        node.children.forEach(child => collectTerms(child, terms));
+    }
+    // Negated terms aren't in the results, so there's nothing to highlight
+
+    return terms;
+}
+
+/**
+ * Parse a search query
+ *
+ * @param {string} input - Raw query
+ * @returns {Object} - { root, terms, empty }
+ */
+function parseQuery(input) {
+    const text = typeof input === 'string' ? input : '';
+    if (text === lastInput) return lastQuery;
+
+    const root = parseTokens(tokenize(text));
+
+    lastInput = text;
+    lastQuery = {
+        root,
+        terms: collectTerms(root).filter((term, i, all) => all.indexOf(term) === i),
+        empty: root.type === 'and' && root.children.length === 0
+    };
+
+    return lastQuery;
+}
+
+/**
+ * Check one node against a video
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object} node - Query node
+ * @returns {boolean} - Whether it matches
+ */
+function matchesNode(video, node) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => matchesNode(video, child));
+        case 'or':
+            return node.children.some(child => matchesNode(video, child));
+        case 'not':
+            return !matchesNode(video, node.child);
+        default:
+            return matchesTerm(video, node);
+    }
+}
+
+/**
+ * Check one term against a video
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object} term - Term node
+ * @returns {boolean} - Whether it matches
+ */
+function matchesTerm(video, term) {
+    switch (term.field) {
+        case 'subreddit':
+            return (video.subreddit || '').toLowerCase() === term.value;
+        case 'author':
+            return (video.author || '').toLowerCase() === term.value;
+        case 'domain': {
+            const domain = (video.domain || '').toLowerCase();
+            return term.value === video.provider ||
+                domain === term.value ||
+                domain.endsWith(`.${term.value}`);
+        }
+        case 'upvotes':
+        case 'comments':
+            return compareNumber(video[term.field], term.op, term.value);
+        default: {
+            const haystack = `${video.title || ''}\n${video.subreddit || ''}\n${video.author || ''}`.toLowerCase();
+            return haystack.includes(term.value.toLowerCase());
+        }
+    }
+}
+
+/**
+ * Compare a numeric field
+ *
+ * @param {number} actual - Video's value
+ * @param {string} op - Comparison operator
+ * @param {number} expected - Value from the query
+ * @returns {boolean} - Whether the comparison holds
+ */
+function compareNumber(actual, op, expected) {
+    if (typeof actual !== 'number') return false;
+
+    switch (op) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '=': return actual === expected;
+        default: return actual >= expected;
+    }
+}
+
+/**
+ * Check whether a video matches a query
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object|string} query - Parsed query or raw query text
+ * @returns {boolean} - Whether the video matches
+ */
+function matchesQuery(video, query) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    return parsed.empty || matchesNode(video, parsed.root);
+}
+
+/**
+ * Filter videos by a query
+ *
+ * @param {Array} videos - Normalized videos
+ * @param {string} input - Raw query
+ * @returns {Array} - Matching videos
+ */
+function filterByQuery(videos, input) {
+    const query = parseQuery(input);
+    return query.empty ? videos : videos.filter(video => matchesNode(video, query.root));
+}
+
+export {
+    parseQuery,
+    matchesQuery,
+    filterByQuery
+};
\ No newline at end of file
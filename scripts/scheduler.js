@@ -0,0 +1,288 @@
+/**
+ * scheduler.js - Rate-limit aware queue for every Reddit request
+ *
+ * Requests run through a single queue with a concurrency limit. HTTP 429
+ * responses and low `X-Ratelimit-Remaining` headers pause the whole queue
+ * until Reddit's reset time; 5xx responses and network failures are retried
+ * with exponential backoff.
+ *
+ * Requests can be cancelled with an AbortSignal in `options.signal`, whether
+ * they are still queued, waiting to retry, or already on the wire.
+ *
+ * While paused, an 'api-cooldown' event is dispatched on document with
+ * `detail.until` (timestamp) and `detail.seconds`; 'api-resume' follows when
+ * the queue starts again.
+ */
+import { transportFetch } from './transport.js';
+
+// Configuration
+const MAX_CONCURRENT = 3;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 1000; // Doubled on every retry
+const MAX_BACKOFF = 60 * 1000;
+const DEFAULT_COOLDOWN = 10 * 1000; // When a 429 doesn't say how long to wait
+const MIN_REMAINING = 2; // Pause before Reddit's allowance actually runs out
+
+// Queue state
+const queue = [];
+let activeCount = 0;
+let cooldownUntil = 0;
+let cooldownTimer = null;
+
+/**
+ * Queued request
+ * @typedef {Object} ScheduledRequest
+ * @property {string} url - Request URL
+ * @property {Object} options - Fetch options (passed to the fetcher)
+ * @property {function(string, Object): Promise<Response>} fetcher - Function that performs the request
+ * @property {number} attempt - Attempts made so far
+ * @property {function} resolve - Resolves the caller's promise
+ * @property {function} reject - Rejects the caller's promise
+ */
+
+/**
+ * Queue a Reddit request
+ *
+ * Resolves with the final response, which may still be an error response
+ * once retries are used up; rejects only if the request never got a response.
+ *
+ * @param {string} url - Reddit URL
+ * @param {Object} options - Fetch options plus `timeout`
+ * @param {function(string, Object): Promise<Response>} fetcher - Defaults to the configured transport
+ * @returns {Promise<Response>} - Fetch response
+ */
+function scheduledFetch(url, options = {}, fetcher = transportFetch) {
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const request = { url, options, fetcher, attempt: 0, resolve, reject };
+
+        if (signal) {
+            // Drop it from the queue if cancelled before it gets a slot
+            signal.addEventListener('abort', () => {
+                const index = queue.indexOf(request);
+                if (index !== -1) {
+                    queue.splice(index, 1);
+                    reject(createAbortError());
+                }
+            }, { once: true });
+        }
+
+        queue.push(request);
+        processQueue();
+    });
+}
+
+/**
+ * Create the error used for cancelled requests
+ *
+ * @returns {DOMException} - AbortError
+ */
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+/**
+ * Whether the caller cancelled a request
+ *
+ * @param {ScheduledRequest} request - Queued request
+ * @returns {boolean} - Cancelled
+ */
+function isCancelled(request) {
+    return Boolean(request.options.signal && request.options.signal.aborted);
+}
+
+/**
+ * Start queued requests while there are free slots and no cooldown
+ */
+function processQueue() {
+    if (isCoolingDown()) return;
+
+    while (activeCount < MAX_CONCURRENT && queue.length > 0) {
+        runRequest(queue.shift());
+    }
+}
+
+/**
+ * Perform a request and decide whether it has to be retried
+ *
+ * @param {ScheduledRequest} request - Queued request
+ */
+async function runRequest(request) {
+    activeCount++;
+    request.attempt++;
+
+    try {
+        const response = await request.fetcher(request.url, request.options);
+        applyRateLimitHeaders(response);
+
+        const canRetry = request.attempt <= MAX_RETRIES;
+
+        if (response.status === 429) {
+            startCooldown(getRetryAfter(response) || DEFAULT_COOLDOWN);
+            if (canRetry) {
+                // Back to the front of the line once the cooldown ends
+                queue.unshift(request);
+                return;
+            }
+        } else if (response.status >= 500 && canRetry) {
+            const delay = getRetryAfter(response) || getBackoff(request.attempt);
+            console.warn(`Reddit returned ${response.status}, retrying ${request.url} in ${delay}ms`);
+            retryLater(request, delay);
+            return;
+        }
+
+        request.resolve(response);
+    } catch (error) {
+        if (isCancelled(request)) {
+            request.reject(createAbortError());
+            return;
+        }
+
+        if (isNetworkError(error) && request.attempt <= MAX_RETRIES) {
+            const delay = getBackoff(request.attempt);
+            console.log(`Retrying fetch to ${request.url}, ${MAX_RETRIES - request.attempt + 1} attempts left`);
+            retryLater(request, delay);
+            return;
+        }
+
+        request.reject(error);
+    } finally {
+        activeCount--;
+        processQueue();
+    }
+}
+
+/**
+ * Put a request back in the queue after a delay
+ *
+ * @param {ScheduledRequest} request - Queued request
+ * @param {number} delay - Delay in milliseconds
+ */
+function retryLater(request, delay) {
+    setTimeout(() => {
+        if (isCancelled(request)) {
+            request.reject(createAbortError());
+            return;
+        }
+
+        queue.push(request);
+        processQueue();
+    }, delay);
+}
+
+/**
+ * Whether an error means the request never reached Reddit
+ *
+ * @param {Error} error - Fetch error
+ * @returns {boolean} - Worth retrying
+ */
+function isNetworkError(error) {
+    return error.name === 'AbortError' ||
+        error.name === 'TypeError' ||
+        (error.message || '').includes('Failed to fetch');
+}
+
+/**
+ * Exponential backoff delay for an attempt
+ *
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoff(attempt) {
+    return Math.min(BASE_BACKOFF * 2 ** (attempt - 1), MAX_BACKOFF);
+}
+
+/**
+ * Read the Retry-After header
+ *
+ * @param {Response} response - Fetch response
+ * @returns {number|null} - Delay in milliseconds or null if absent
+ */
+function getRetryAfter(response) {
+    const value = response.headers && response.headers.get('Retry-After');
+    if (!value) return null;
+
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.min(seconds * 1000, MAX_BACKOFF);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), MAX_BACKOFF);
+}
+
+/**
+ * Pause the queue if Reddit says the allowance is nearly used up
+ *
+ * @param {Response} response - Fetch response
+ */
+function applyRateLimitHeaders(response) {
+    if (!response.headers) return;
+
+    const remaining = parseFloat(response.headers.get('X-Ratelimit-Remaining'));
+    const reset = parseFloat(response.headers.get('X-Ratelimit-Reset'));
+
+    if (!isNaN(remaining) && !isNaN(reset) && remaining < MIN_REMAINING) {
+        startCooldown(reset * 1000);
+    }
+}
+
+/**
+ * Pause the queue, extending any cooldown already running
+ *
+ * @param {number} duration - Cooldown length in milliseconds
+ */
+function startCooldown(duration) {
+    const until = Date.now() + duration;
+    if (until <= cooldownUntil) return;
+
+    cooldownUntil = until;
+    clearTimeout(cooldownTimer);
+    cooldownTimer = setTimeout(endCooldown, duration);
+
+    document.dispatchEvent(new CustomEvent('api-cooldown', {
+        detail: { until, seconds: Math.ceil(duration / 1000) }
+    }));
+}
+
+/**
+ * Resume the queue after a cooldown
+ */
+function endCooldown() {
+    cooldownUntil = 0;
+    cooldownTimer = null;
+
+    document.dispatchEvent(new CustomEvent('api-resume'));
+    processQueue();
+}
+
+/**
+ * Whether the queue is paused
+ *
+ * @returns {boolean} - Cooling down
+ */
+function isCoolingDown() {
+    return cooldownUntil > Date.now();
+}
+
+/**
+ * Get the remaining cooldown time
+ *
+ * @returns {number} - Milliseconds until requests resume (0 if not cooling down)
+ */
+function getCooldownRemaining() {
+    return Math.max(cooldownUntil - Date.now(), 0);
+}
+
+export {
+    scheduledFetch,
+    isCoolingDown,
+    getCooldownRemaining
+};
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * settings-ui.js - Sidebar settings panels
+ */
+import { isAuthenticated } from './auth.js';
+import {
+    DEFAULT_PROXIES,
+    getTransportSettings,
+    updateTransportSettings,
+    getProxyHealth,
+    resetProxyHealth
+} from './transport.js';
+import { getNsfwMode, setNsfwMode } from './providers.js';
+import { getContentFilters, updateContentFilters, resetContentFilters } from './content-filters.js';
+import { showToast } from './ui.js';
+
+/**
+ * Create the connection (CORS proxy) settings UI
+ *
+ * @returns {HTMLElement} Connection settings element
+ */
+function createConnectionSettingsUI() {
+    const container = document.createElement('div');
+    container.className = 'settings-section';
+
+    updateConnectionSettingsUI(container);
+
+    // Keep the health list current as requests come in
+    document.addEventListener('transport-health-change', () => {
+        renderProxyHealth(container.querySelector('.proxy-health-list'));
+    });
+
+    // Direct mode availability depends on login state
+    document.addEventListener('reddit-logout', () => {
+        updateConnectionSettingsUI(container);
+    });
+    document.addEventListener('reddit-account-change', () => {
+        updateConnectionSettingsUI(container);
+    });
+
+    return container;
+}
+
+/**
+ * Update the connection settings UI
+ *
+ * @param {HTMLElement} container - Container element
+ */
+function updateConnectionSettingsUI(container) {
+    const settings = getTransportSettings();
+    const loggedIn = isAuthenticated();
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>Connection</h2>
+        </div>
+        <form class="connection-form">
+            <div class="form-group">
+                <label for="transport-mode">Request mode</label>
+                <select id="transport-mode">
+                    <option value="proxy" ${settings.mode === 'proxy' ? 'selected' : ''}>CORS proxies</option>
+                    <option value="direct" ${settings.mode === 'direct' ? 'selected' : ''}>Direct (oauth.reddit.com)</option>
+                </select>
+                <p class="settings-hint">
+                    ${loggedIn ?
+                        'Direct mode uses your Reddit login and skips the proxies.' :
+                        'Direct mode needs a Reddit login; until then the proxies are used.'}
+                </p>
+            </div>
+            <div class="form-group">
+                <label for="proxy-list">Proxies (tried in order, one per line)</label>
+                <textarea id="proxy-list" rows="4" spellcheck="false"></textarea>
+                <p class="settings-hint">Use <code>{url}</code> where the encoded Reddit URL goes.</p>
+            </div>
+            <div class="dialog-buttons">
+                <button type="button" class="secondary-button reset-proxies-button">Reset</button>
+                <button type="submit" class="primary-button">Save</button>
+            </div>
+        </form>
+        <div class="proxy-health-list"></div>
+    `;
+
+    // Set via value so templates are never parsed as HTML
+    container.querySelector('#proxy-list').value = settings.proxies.join('\n');
+
+    renderProxyHealth(container.querySelector('.proxy-health-list'));
+
+    // Handle form submission
+    container.querySelector('.connection-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const mode = container.querySelector('#transport-mode').value;
+        const proxies = container.querySelector('#proxy-list').value.split('\n');
+
+        updateTransportSettings({ mode, proxies });
+        updateConnectionSettingsUI(container);
+        showToast('Connection settings saved', 'success');
+    });
+
+    // Restore the default proxy list
+    container.querySelector('.reset-proxies-button').addEventListener('click', () => {
+        updateTransportSettings({ proxies: DEFAULT_PROXIES });
+        resetProxyHealth();
+        updateConnectionSettingsUI(container);
+        showToast('Default proxies restored', 'info');
+    });
+}
+
+/**
+ * Render per-proxy health stats
+ *
+ * @param {HTMLElement} list - List element
+ */
+function renderProxyHealth(list) {
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    getProxyHealth().forEach(stats => {
+        const item = document.createElement('div');
+        item.className = 'proxy-health-item';
+
+        let status = 'unused';
+        if (stats.cooling) {
+            status = 'cooling';
+        } else if (stats.successes > 0 || stats.failures > 0) {
+            status = stats.consecutiveFailures > 0 ? 'degraded' : 'healthy';
+        }
+        item.classList.add(`proxy-${status}`);
+
+        const name = document.createElement('div');
+        name.className = 'proxy-name';
+        name.textContent = stats.template.replace('{url}', '');
+
+        const meta = document.createElement('div');
+        meta.className = 'proxy-meta';
+        meta.textContent = [
+            `${stats.successes} ok`,
+            `${stats.failures} failed`,
+            stats.avgLatency !== null ? `${stats.avgLatency} ms` : null,
+            stats.cooling ? 'cooling down' : null,
+            stats.lastError ? `last error: ${stats.lastError}` : null
+        ].filter(Boolean).join(' • ');
+
+        item.appendChild(name);
+        item.appendChild(meta);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Create the content settings UI (NSFW handling)
+ *
+ * @returns {HTMLElement} Content settings element
+ */
+function createContentSettingsUI() {
+    const container = document.createElement('div');
+    container.className = 'settings-section';
+
+    const mode = getNsfwMode();
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>Content</h2>
+        </div>
+        <div class="form-group">
+            <label for="nsfw-mode">NSFW posts</label>
+            <select id="nsfw-mode">
+                <option value="hide" ${mode === 'hide' ? 'selected' : ''}>Hide</option>
+                <option value="blur" ${mode === 'blur' ? 'selected' : ''}>Blur until clicked</option>
+                <option value="show" ${mode === 'show' ? 'selected' : ''}>Show</option>
+            </select>
+            <p class="settings-hint">Spoilers are always blurred until clicked.</p>
+        </div>
+    `;
+
+    container.querySelector('#nsfw-mode').addEventListener('change', (e) => {
+        setNsfwMode(e.target.value);
+        showToast('Content settings saved', 'success');
+    });
+
+    return container;
+}
+
+/**
+ * Create the feed filter rules UI
+ *
+ * @returns {HTMLElement} Filter settings element
+ */
+function createFilterSettingsUI() {
+    const container = document.createElement('div');
+    container.className = 'settings-section';
+
+    updateFilterSettingsUI(container);
+
+    return container;
+}
+
+/**
+ * Update the feed filter rules UI
+ *
+ * @param {HTMLElement} container - Container element
+ */
+function updateFilterSettingsUI(container) {
+    const filters = getContentFilters();
+
+    container.innerHTML = `
+        <div class="section-header">
+            <h2>Filters</h2>
+        </div>
+        <form class="filters-form">
+            <div class="form-group">
+                <label for="filter-keywords">Hide titles containing (one per line)</label>
+                <textarea id="filter-keywords" rows="3" spellcheck="false"></textarea>
+                <p class="settings-hint">Write <code>/pattern/i</code> for a regular expression.</p>
+            </div>
+            <div class="form-group">
+                <label for="filter-authors">Blocked authors</label>
+                <textarea id="filter-authors" rows="2" spellcheck="false"></textarea>
+            </div>
+            <div class="form-group">
+                <label for="filter-domains">Blocked domains or providers</label>
+                <textarea id="filter-domains" rows="2" spellcheck="false"></textarea>
+                <p class="settings-hint">A domain like <code>youtube.com</code> or a provider like <code>redgifs</code>.</p>
+            </div>
+            <div class="form-group filter-numbers">
+                <label>Minimum upvotes
+                    <input type="number" id="filter-min-upvotes" min="0" step="1">
+                </label>
+                <label>Minimum comments
+                    <input type="number" id="filter-min-comments" min="0" step="1">
+                </label>
+                <label>Maximum age (days)
+                    <input type="number" id="filter-max-age" min="0" step="1">
+                </label>
+                <p class="settings-hint">0 turns a limit off.</p>
+            </div>
+            <div class="dialog-buttons">
+                <button type="button" class="secondary-button reset-filters-button">Clear all</button>
+                <button type="submit" class="primary-button">Save</button>
+            </div>
+        </form>
+    `;
+
+    // Set via value so rules are never parsed as HTML
+    container.querySelector('#filter-keywords').value = filters.keywords.join('\n');
+    container.querySelector('#filter-authors').value = filters.authors.join('\n');
+    container.querySelector('#filter-domains').value = filters.domains.join('\n');
+    container.querySelector('#filter-min-upvotes').value = filters.minUpvotes;
+    container.querySelector('#filter-min-comments').value = filters.minComments;
+    container.querySelector('#filter-max-age').value = filters.maxAgeDays;
+
+    // Handle form submission
+    container.querySelector('.filters-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const lines = id => container.querySelector(id).value.split('\n');
+
+        updateContentFilters({
+            keywords: lines('#filter-keywords'),
+            authors: lines('#filter-authors'),
+            domains: lines('#filter-domains'),
+            minUpvotes: container.querySelector('#filter-min-upvotes').value,
+            minComments: container.querySelector('#filter-min-comments').value,
+            maxAgeDays: container.querySelector('#filter-max-age').value
+        });
+        updateFilterSettingsUI(container);
+        showToast('Filters saved', 'success');
+    });
+
+    container.querySelector('.reset-filters-button').addEventListener('click', () => {
+        resetContentFilters();
+        updateFilterSettingsUI(container);
+        showToast('Filters cleared', 'info');
+    });
+}
+
+export {
+    createConnectionSettingsUI,
+    updateConnectionSettingsUI,
+    createContentSettingsUI,
+    createFilterSettingsUI
+};
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * sources.js - Feed sources: subreddits, Reddit user profiles and multireddits
+ *
+ * Sources are stored as plain strings in the same lists as before, so saved
+ * settings keep working: a subreddit is its bare name ("videos"), a user
+ * profile is "u/<name>" and a multireddit is "m/<owner>/<name>". Reddit can
+ * combine subreddits into one listing but not profiles or multis, so each of
+ * those is fetched as a listing of its own.
+ */
+
+const USER_PREFIX = 'u/';
+const MULTI_PREFIX = 'm/';
+
+// Sorts /user/<name>/submitted accepts; others fall back to hot
+const USER_SORTS = ['hot', 'new', 'top', 'controversial'];
+
+/**
+ * Turn user input into a source string
+ *
+ * Accepts "videos", "r/videos", "u/name", "/user/name", "/user/owner/m/name"
+ * and full reddit.com URLs of any of them, including listing paths like
+ * /r/videos/top. A bare "m/name" refers to one of `options.user`'s multis.
+ *
+ * @param {string} input - Raw input
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.user] - Logged-in username, owner of bare m/name multis
+ * @returns {string|null} - Source string, or null if it isn't one
+ */
+function parseSource(input, options = {}) {
+    if (!input || typeof input !== 'string') return null;
+
+    const path = input.trim()
+        .replace(/^https?:\/\/([a-z]+\.)?reddit\.com/i, '')
+        .replace(/^\/+/, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+
+    const multiMatch = path.match(/^(?:(?:u|user)\/([\w-]{2,})\/|me\/)?m\/(\w{2,50})(?:\/.*)?$/i);
+    if (multiMatch) {
+        const owner = multiMatch[1] || options.user;
+        return owner ? multiSource(owner, multiMatch[2]) : null;
+    }
+
+    const userMatch = path.match(/^(?:u|user)\/([\w-]{2,})(?:\/.*)?$/i);
+    if (userMatch) {
+        return userSource(userMatch[1]);
+    }
+
+    const subredditMatch = path.match(/^(?:r\/(\w{2,21})(?:\/.*)?|(\w{2,21}))$/i);
+    return subredditMatch ? subredditMatch[1] || subredditMatch[2] : null;
+}
+
+/**
+ * Build the source string for a user profile
+ *
+ * @param {string} name - Reddit username
+ * @returns {string} - Source string
+ */
+function userSource(name) {
+    return `${USER_PREFIX}${name}`;
+}
+
+/**
+ * Build the source string for a multireddit
+ *
+ * @param {string} owner - Username of the multi's owner
+ * @param {string} name - Multireddit name
+ * @returns {string} - Source string
+ */
+function multiSource(owner, name) {
+    return `${MULTI_PREFIX}${owner}/${name}`;
+}
+
+/**
+ * Whether a source is a user profile
+ *
+ * @param {string} source - Source string
+ * @returns {boolean} - Is a user profile
+ */
+function isUserSource(source) {
+    return typeof source === 'string' && source.startsWith(USER_PREFIX);
+}
+
+/**
+ * Whether a source is a multireddit
+ *
+ * @param {string} source - Source string
+ * @returns {boolean} - Is a multireddit
+ */
+function isMultiSource(source) {
+    return typeof source === 'string' && source.startsWith(MULTI_PREFIX);
+}
+
+/**
+ * Whether a source is a plain subreddit
+ *
+ * @param {string} source - Source string
+ * @returns {boolean} - Is a subreddit
+ */
+function isSubredditSource(source) {
+    return !isUserSource(source) && !isMultiSource(source);
+}
+
+/**
+ * Get the username of a profile source
+ *
+ * @param {string} source - Source string
+ * @returns {string|null} - Username, or null for subreddits
+ */
+function getUserName(source) {
+    return isUserSource(source) ? source.slice(USER_PREFIX.length) : null;
+}
+
+/**
+ * Get the owner and name of a multireddit source
+ *
+ * @param {string} source - Source string
+ * @returns {Object|null} - { owner, name }, or null for other sources
+ */
+function getMultiParts(source) {
+    if (!isMultiSource(source)) return null;
+
+    const [owner, name] = source.slice(MULTI_PREFIX.length).split('/');
+    return { owner, name };
+}
+
+/**
+ * Get the label shown for a source (r/videos, u/name, m/name)
+ *
+ * @param {string} source - Source string
+ * @returns {string} - Display label
+ */
+function getSourceLabel(source) {
+    if (isMultiSource(source)) {
+        return `${MULTI_PREFIX}${getMultiParts(source).name}`;
+    }
+    return isUserSource(source) ? source : `r/${source}`;
+}
+
+/**
+ * Split sources into groups that can each be fetched as one listing
+ *
+ * @param {Array<string>} sources - Source strings
+ * @returns {Array<Array<string>>} - All subreddits together, then one group per profile or multi
+ */
+function groupSources(sources) {
+    const subreddits = sources.filter(isSubredditSource);
+    const groups = sources.filter(source => !isSubredditSource(source)).map(source => [source]);
+
+    return subreddits.length > 0 ? [subreddits, ...groups] : groups;
+}
+
+/**
+ * Build the listing URL for one group of sources
+ *
+ * @param {Array<string>} sources - One group from groupSources
+ * @param {Object} settings - Settings with sort and time
+ * @param {string} afterToken - Token for pagination
+ * @param {number} limit - Page size
+ * @param {boolean} withTime - Whether to send the time window
+ * @returns {string} - Reddit JSON URL
+ */
+function buildListingUrl(sources, settings, afterToken, limit, withTime) {
+    const afterParam = afterToken ? `&after=${afterToken}` : '';
+    const timeParam = withTime ? `&t=${settings.time}` : '';
+
+    if (!sources.every(isSubredditSource) && sources.length > 1) {
+        throw new Error('User profiles and multireddits have to be fetched one at a time');
+    }
+
+    if (isMultiSource(sources[0])) {
+        const { owner, name } = getMultiParts(sources[0]);
+        return `https://www.reddit.com/user/${encodeURIComponent(owner)}/m/${encodeURIComponent(name)}/${settings.sort}.json?limit=${limit}&raw_json=1${afterParam}${timeParam}`;
+    }
+
+    if (isUserSource(sources[0])) {
+        const name = encodeURIComponent(getUserName(sources[0]));
+        const sort = USER_SORTS.includes(settings.sort) ? settings.sort : 'hot';
+        return `https://www.reddit.com/user/${name}/submitted.json?sort=${sort}&limit=${limit}&raw_json=1${afterParam}${timeParam}`;
+    }
+
+    const multiSub = sources.map(sub => encodeURIComponent(sub)).join('+');
+    return `https://www.reddit.com/r/${multiSub}/${settings.sort}.json?limit=${limit}&raw_json=1${afterParam}${timeParam}`;
+}
+
+/**
+ * Get the sources a search restricted to some sources actually covers
+ *
+ * Subreddits are searched together through their combined r/a+b path. Without
+ * subreddits, a single multireddit can be searched through its own path.
+ * Profiles can't be searched this way, and neither can a multireddit next to
+ * subreddits or a second multireddit.
+ *
+ * @param {Array<string>} sources - Sources to restrict to
+ * @returns {Array<string>} - Sources searched, empty if the search covers all of Reddit
+ */
+function getSearchScope(sources) {
+    const subreddits = sources.filter(isSubredditSource);
+    if (subreddits.length > 0) return subreddits;
+
+    const multi = sources.find(isMultiSource);
+    return multi ? [multi] : [];
+}
+
+/**
+ * Build a Reddit search URL, optionally restricted to some sources
+ *
+ * Only the sources from getSearchScope are searched; without any, the search
+ * covers all of Reddit.
+ *
+ * @param {string} query - Search query
+ * @param {Array<string>} sources - Sources to restrict to (empty for all of Reddit)
+ * @param {Object} options - Search options
+ * @param {string} options.sort - relevance, hot, top, new or comments
+ * @param {string} options.time - Time window
+ * @param {string} options.afterToken - Token for pagination
+ * @param {number} options.limit - Page size
+ * @returns {string} - Reddit JSON URL
+ */
+function buildSearchUrl(query, sources, { sort = 'relevance', time = 'all', afterToken = null, limit = 25 } = {}) {
+    const params = `q=${encodeURIComponent(query)}&sort=${sort}&t=${time}&limit=${limit}&type=link&raw_json=1${afterToken ? `&after=${afterToken}` : ''}`;
+
+    const scope = getSearchScope(sources);
+    if (scope.length === 0) {
+        return `https://www.reddit.com/search.json?${params}`;
+    }
+
+    if (isMultiSource(scope[0])) {
+        const { owner, name } = getMultiParts(scope[0]);
+        return `https://www.reddit.com/user/${encodeURIComponent(owner)}/m/${encodeURIComponent(name)}/search.json?${params}&restrict_sr=1`;
+    }
+
+    const multiSub = scope.map(sub => encodeURIComponent(sub)).join('+');
+    return `https://www.reddit.com/r/${multiSub}/search.json?${params}&restrict_sr=1`;
+}
+
+export {
+    parseSource,
+    userSource,
+    multiSource,
+    isUserSource,
+    isMultiSource,
+    isSubredditSource,
+    getUserName,
+    getMultiParts,
+    getSourceLabel,
+    groupSources,
+    buildListingUrl,
+    getSearchScope,
+    buildSearchUrl
+};
\ No newline at end of file
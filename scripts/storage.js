@@ -105,11 +105,144 @@ function loadTheme(defaultTheme = 'dark') {
     return loadFromStorage('theme', defaultTheme);
 }
 
+/**
+ * Save transport (CORS proxy) settings
+ * 
+ * @param {Object} settings - Transport settings
+ * @returns {boolean} - Success status
+ */
+function saveTransportSettings(settings) {
+    return saveToStorage('transportSettings', settings);
+}
+
+/**
+ * Load transport (CORS proxy) settings
+ * 
+ * @param {Object} defaultSettings - Default settings
+ * @returns {Object} - Transport settings
+ */
+function loadTransportSettings(defaultSettings) {
+    return loadFromStorage('transportSettings', defaultSettings);
+}
+
+/**
+ * Save how NSFW posts are shown
+ * 
+ * @param {string} mode - 'hide', 'blur' or 'show'
+ * @returns {boolean} - Success status
+ */
+function saveNsfwMode(mode) {
+    return saveToStorage('nsfwMode', mode);
+}
+
+/**
+ * Load how NSFW posts are shown
+ * 
+ * @param {string} defaultMode - Default mode
+ * @returns {string} - NSFW mode
+ */
+function loadNsfwMode(defaultMode = 'blur') {
+    return loadFromStorage('nsfwMode', defaultMode);
+}
+
+/**
+ * Save feed content filter rules
+ * 
+ * @param {Object} filters - Filter rules
+ * @returns {boolean} - Success status
+ */
+function saveContentFilters(filters) {
+    return saveToStorage('contentFilters', filters);
+}
+
+/**
+ * Load feed content filter rules
+ * 
+ * @param {Object} defaultFilters - Default rules
+ * @returns {Object} - Filter rules
+ */
+function loadContentFilters(defaultFilters) {
+    return loadFromStorage('contentFilters', defaultFilters);
+}
+
+/**
+ * Save the comment sort used in the lightbox
+ * 
+ * @param {string} sort - Comment sort
+ * @returns {boolean} - Success status
+ */
+function saveCommentSort(sort) {
+    return saveToStorage('commentSort', sort);
+}
+
+/**
+ * Load the comment sort used in the lightbox
+ * 
+ * @param {string} defaultSort - Default sort
+ * @returns {string} - Comment sort
+ */
+function loadCommentSort(defaultSort = 'confidence') {
+    return loadFromStorage('commentSort', defaultSort);
+}
+
+/**
+ * Save the Reddit app used for login
+ * 
+ * @param {Object} config - { clientId, redirectUri }
+ * @returns {boolean} - Success status
+ */
+function saveAuthConfig(config) {
+    return saveToStorage('authConfig', config);
+}
+
+/**
+ * Load the Reddit app used for login
+ * 
+ * @param {Object} defaultConfig - Default config
+ * @returns {Object} - { clientId, redirectUri }
+ */
+function loadAuthConfig(defaultConfig) {
+    return loadFromStorage('authConfig', defaultConfig);
+}
+
+/**
+ * Save which accounts keep their subscriptions in sync with the subreddit bar
+ * 
+ * @param {Array<string>} accounts - Usernames
+ * @returns {boolean} - Success status
+ */
+function saveSubscriptionSync(accounts) {
+    return saveToStorage('subscriptionSync', accounts);
+}
+
+/**
+ * Load which accounts keep their subscriptions in sync with the subreddit bar
+ * 
+ * @param {Array<string>} defaultAccounts - Default usernames
+ * @returns {Array<string>} - Usernames
+ */
+function loadSubscriptionSync(defaultAccounts = []) {
+    const accounts = loadFromStorage('subscriptionSync', defaultAccounts);
+    return Array.isArray(accounts) ? accounts : defaultAccounts;
+}
+
 export {
     saveSettings,
     loadSettings,
     saveFavorites,
     loadFavorites,
     saveTheme,
-    loadTheme
+    loadTheme,
+    saveTransportSettings,
+    loadTransportSettings,
+    saveNsfwMode,
+    loadNsfwMode,
+    saveContentFilters,
+    loadContentFilters,
+    saveCommentSort,
+    loadCommentSort,
+    saveAuthConfig,
+    loadAuthConfig,
+    saveSubscriptionSync,
+    loadSubscriptionSync
 };
\ No newline at end of file
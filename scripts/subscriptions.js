@@ -0,0 +1,276 @@
+/**
+ * subscriptions.js - The selected account's subreddit subscriptions
+ *
+ * Keeps the account's subscriptions in memory so the subreddit bar can show
+ * and toggle them, and merges them with the bar for two-way sync. Sync
+ * compares both sides with what they shared after the last sync, so a
+ * subreddit removed on one side is removed on the other instead of coming back.
+ *
+ * All accounts share one subreddit bar, so sync is turned on per account and
+ * only ever writes to Reddit for an account that asked for it.
+ */
+import { getSubscribedSubreddits, setSubscription, getActiveAccountName } from './auth.js';
+import { isSubredditSource } from './sources.js';
+import { saveSubscriptionSync, loadSubscriptionSync } from './storage.js';
+import { showToast } from './ui.js';
+
+const SYNC_BASELINE_PREFIX = 'subscription_sync:';
+
+let subscribed = null; // Lowercased name -> subreddit info, or null if not loaded
+let loadedFor = null;
+let loading = null;
+
+/**
+ * Tell the UI that subscriptions changed
+ */
+function notifyChange() {
+    document.dispatchEvent(new CustomEvent('subscriptions-change'));
+}
+
+/**
+ * Load the selected account's subscriptions
+ *
+ * @param {boolean} force - Reload even if they're already loaded
+ * @returns {Promise<void>}
+ */
+async function loadSubscriptions(force = false) {
+    const account = getActiveAccountName();
+
+    if (!account) {
+        if (subscribed) {
+            subscribed = null;
+            loadedFor = null;
+            notifyChange();
+        }
+        return;
+    }
+
+    if (!force && loadedFor === account && subscribed) return;
+    if (loading && loading.account === account) return loading.promise;
+
+    const promise = getSubscribedSubreddits(account).then(subreddits => {
+        // The account may have changed while this loaded
+        if (getActiveAccountName() !== account) return;
+
+        subscribed = new Map(subreddits.map(info => [info.name.toLowerCase(), info]));
+        loadedFor = account;
+        notifyChange();
+    }).finally(() => {
+        if (loading && loading.promise === promise) loading = null;
+    });
+
+    loading = { account, promise };
+    return promise;
+}
+
+/**
+ * Whether the selected account subscribes to a source
+ *
+ * @param {string} source - Source string
+ * @returns {boolean|null} - Subscribed, or null if unknown or not a subreddit
+ */
+function isSubscribed(source) {
+    if (!subscribed || loadedFor !== getActiveAccountName() || !isSubredditSource(source)) {
+        return null;
+    }
+
+    return subscribed.has(source.toLowerCase());
+}
+
+/**
+ * Get the selected account's subscriptions
+ *
+ * @returns {Array<Object>} - Subreddit info ({ name, subscribers, ... }), empty if not loaded
+ */
+function getSubscriptions() {
+    return subscribed && loadedFor === getActiveAccountName() ? [...subscribed.values()] : [];
+}
+
+/**
+ * Subscribe to a subreddit or unsubscribe from it, showing the change straight away
+ *
+ * @param {string} source - Subreddit source string
+ * @returns {Promise<boolean>} - Whether Reddit accepted the change
+ */
+async function toggleSubscription(source) {
+    const current = isSubscribed(source);
+    if (current === null) return false;
+
+    const account = loadedFor;
+    const key = source.toLowerCase();
+    const previous = subscribed.get(key);
+
+    if (current) {
+        subscribed.delete(key);
+    } else {
+        subscribed.set(key, { name: source, subscribers: 0 });
+    }
+    notifyChange();
+
+    try {
+        await setSubscription(source, !current, account);
+        showToast(current ? `Unsubscribed from r/${source}` : `Subscribed to r/${source}`, 'success');
+        return true;
+    } catch (error) {
+        if (loadedFor === account) {
+            if (current) {
+                subscribed.set(key, previous);
+            } else {
+                subscribed.delete(key);
+            }
+            notifyChange();
+        }
+
+        showToast(error.status === 403 ?
+            'Log in again to allow managing subscriptions' :
+            `Couldn't ${current ? 'unsubscribe from' : 'subscribe to'} r/${source}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Load the subreddits both sides had after the last sync
+ *
+ * @param {string} account - Username
+ * @returns {Set<string>|null} - Lowercased names, or null before the first sync
+ */
+function loadSyncBaseline(account) {
+    try {
+        const names = JSON.parse(localStorage.getItem(`${SYNC_BASELINE_PREFIX}${account}`));
+        return Array.isArray(names) ? new Set(names) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Whether an account keeps its subscriptions in sync with the subreddit bar
+ *
+ * @param {string|null} account - Username, defaults to the selected account
+ * @returns {boolean} - Sync is on
+ */
+function isSyncEnabled(account = getActiveAccountName()) {
+    return Boolean(account) && loadSubscriptionSync().includes(account);
+}
+
+/**
+ * Turn sync on or off for an account
+ *
+ * Turning it off forgets the last sync - changes made while it's off aren't
+ * removals to copy over, so the next sync starts fresh.
+ *
+ * @param {boolean} enabled - Sync on
+ * @param {string|null} account - Username, defaults to the selected account
+ */
+function setSyncEnabled(enabled, account = getActiveAccountName()) {
+    if (!account) return;
+
+    const accounts = loadSubscriptionSync().filter(name => name !== account);
+    if (enabled) {
+        accounts.push(account);
+    } else {
+        localStorage.removeItem(`${SYNC_BASELINE_PREFIX}${account}`);
+    }
+    saveSubscriptionSync(accounts);
+}
+
+/**
+ * Merge the subreddit bar with the selected account's subscriptions
+ *
+ * Subreddits only on Reddit are returned to be added to the bar and ones only
+ * in the bar are subscribed to - unless they were on both sides at the last
+ * sync, which means they were removed from the other side since, so they're
+ * removed from this one too. The first sync only ever adds, but on both
+ * sides, so it only runs when the user turns sync on (initial); otherwise an
+ * account that hasn't synced yet is left alone.
+ *
+ * @param {Array<string>} sources - Sources in the subreddit bar
+ * @param {Object} options - Sync options
+ * @param {boolean} options.initial - The user just turned sync on
+ * @returns {Promise<Object>} - { add: Array<Object>, remove: Array<string>, failed: number }
+ */
+async function syncSubscriptions(sources, { initial = false } = {}) {
+    const account = getActiveAccountName();
+    if (!account) {
+        throw new Error('User not authenticated');
+    }
+
+    await loadSubscriptions(true);
+    if (loadedFor !== account) {
+        throw new Error('Account changed during sync');
+    }
+
+    const baseline = loadSyncBaseline(account);
+    if (!baseline && !initial) {
+        return { add: [], remove: [], failed: 0 };
+    }
+
+    const wasShared = (name) => Boolean(baseline && baseline.has(name.toLowerCase()));
+
+    const local = sources.filter(isSubredditSource);
+    const localNames = new Set(local.map(name => name.toLowerCase()));
+
+    const add = [];
+    const remove = [];
+    const toSubscribe = [];
+    const toUnsubscribe = [];
+
+    subscribed.forEach((info, key) => {
+        if (localNames.has(key)) return;
+        if (wasShared(key)) {
+            toUnsubscribe.push(info.name);
+        } else {
+            add.push(info);
+        }
+    });
+
+    local.forEach(name => {
+        if (subscribed.has(name.toLowerCase())) return;
+        if (wasShared(name)) {
+            remove.push(name);
+        } else {
+            toSubscribe.push(name);
+        }
+    });
+
+    let failed = 0;
+
+    if (toSubscribe.length > 0) {
+        try {
+            await setSubscription(toSubscribe, true, account);
+            toSubscribe.forEach(name => subscribed.set(name.toLowerCase(), { name, subscribers: 0 }));
+        } catch (error) {
+            failed += toSubscribe.length;
+        }
+    }
+
+    if (toUnsubscribe.length > 0) {
+        try {
+            await setSubscription(toUnsubscribe, false, account);
+            toUnsubscribe.forEach(name => subscribed.delete(name.toLowerCase()));
+        } catch (error) {
+            failed += toUnsubscribe.length;
+        }
+    }
+
+    // Whatever is now on both sides is the starting point next time; a failed
+    // unsubscribe stays in so it's retried rather than added back to the bar
+    const added = new Set(add.map(info => info.name.toLowerCase()));
+    const shared = [...subscribed.keys()].filter(key =>
+        localNames.has(key) || added.has(key) || wasShared(key));
+    localStorage.setItem(`${SYNC_BASELINE_PREFIX}${account}`, JSON.stringify(shared));
+
+    notifyChange();
+
+    return { add, remove, failed };
+}
+
+export {
+    loadSubscriptions,
+    isSubscribed,
+    getSubscriptions,
+    toggleSubscription,
+    syncSubscriptions,
+    isSyncEnabled,
+    setSyncEnabled
+};
\ No newline at end of file
@@ -0,0 +1,352 @@
+/**
+ * token-store.js - Encrypted OAuth token storage and cross-tab coordination
+ *
+ * Each account's tokens are encrypted with AES-GCM before they're written to IndexedDB.
+ * The key is a non-extractable WebCrypto key kept in the same database, so
+ * page scripts can use it but never read its bytes, and a copy of the
+ * database taken off the device is useless without the browser's key store.
+ * Without IndexedDB or WebCrypto tokens are kept in memory for this page only.
+ *
+ * Tabs share one BroadcastChannel to hand out a refresh lock per account and
+ * to tell each other when tokens change, so a refresh token is only ever
+ * redeemed once even with several tabs open.
+ */
+
+// Configuration
+const DB_NAME = 'reddit-video-gallery-auth';
+const DB_VERSION = 1;
+const STORE_NAME = 'secrets';
+const KEY_ID = 'tokenKey';
+const CHANNEL_NAME = 'reddit-video-gallery-auth';
+const CLAIM_WINDOW = 150; // Time for other tabs to object to a lock claim
+const LOCK_TIMEOUT = 20 * 1000; // Give up waiting on a tab that may have closed
+
+// A random id for this tab, used to break ties between lock claims
+const TAB_ID = Math.random().toString(36).slice(2);
+
+let dbPromise = null;
+let keyPromise = null;
+const memoryTokens = new Map();
+let channel = null;
+const myClaims = new Map(); // Lock id -> this tab's claim
+const remoteLocks = new Map(); // Lock id -> lock held by another tab
+const localTurns = new Map(); // Lock id -> last task queued in this tab
+const listeners = new Set();
+
+/**
+ * Open (once) the token database
+ *
+ * @returns {Promise<IDBDatabase|null>} - Database connection, or null without IndexedDB
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window) || !window.crypto || !window.crypto.subtle) {
+            reject(new Error('IndexedDB or WebCrypto not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Token database blocked'));
+    }).catch(error => {
+        console.warn('Secure token storage unavailable, login will last for this page only:', error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a request against the secrets store
+ *
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function(IDBObjectStore): IDBRequest} action - Builds the request
+ * @returns {Promise<*>} - Request result
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get (once) the encryption key, creating it on first use
+ *
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+function getKey() {
+    if (keyPromise) return keyPromise;
+
+    keyPromise = (async () => {
+        const existing = await withStore('readonly', store => store.get(KEY_ID));
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        await withStore('readwrite', store => store.put(key, KEY_ID));
+        return key;
+    })();
+
+    // Let a later call try again rather than caching the failure
+    keyPromise.catch(() => {
+        keyPromise = null;
+    });
+
+    return keyPromise;
+}
+
+/**
+ * Load stored tokens
+ *
+ * @param {string} id - Record id, e.g. 'account:name'
+ * @returns {Promise<Object|null>} - Tokens as saved, or null if there are none or they can't be read
+ */
+async function loadTokens(id) {
+    const db = await openDatabase();
+    if (!db) return memoryTokens.get(id) || null;
+
+    try {
+        const record = await withStore('readonly', store => store.get(id));
+        if (!record) return null;
+
+        const key = await getKey();
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        // A lost or replaced key makes old tokens unreadable - the user just logs in again
+        console.warn('Could not read stored tokens:', error);
+        return null;
+    }
+}
+
+/**
+ * Encrypt and store tokens
+ *
+ * @param {string} id - Record id, e.g. 'account:name'
+ * @param {Object} tokens - Tokens to store (JSON-serializable)
+ * @returns {Promise<void>}
+ */
+async function saveTokens(id, tokens) {
+    const db = await openDatabase();
+    if (!db) {
+        memoryTokens.set(id, tokens);
+        return;
+    }
+
+    const key = await getKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(tokens))
+    );
+
+    await withStore('readwrite', store => store.put({ iv, data }, id));
+}
+
+/**
+ * Delete stored tokens
+ *
+ * @param {string} id - Record id, e.g. 'account:name'
+ * @returns {Promise<void>}
+ */
+async function clearTokens(id) {
+    memoryTokens.delete(id);
+
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        await withStore('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn('Could not clear stored tokens:', error);
+    }
+}
+
+/**
+ * Get (once) the channel shared by this app's tabs
+ *
+ * @returns {BroadcastChannel|null} - Channel, or null where BroadcastChannel isn't supported
+ */
+function getChannel() {
+    if (channel || typeof BroadcastChannel === 'undefined') return channel;
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (e) => handleMessage(e.data || {}));
+    return channel;
+}
+
+/**
+ * Whether claim a goes before claim b
+ *
+ * @param {Object} a - { at, tab }
+ * @param {Object} b - { at, tab }
+ * @returns {boolean} - a wins
+ */
+function claimWins(a, b) {
+    return a.at < b.at || (a.at === b.at && a.tab < b.tab);
+}
+
+/**
+ * Handle a message from another tab
+ *
+ * @param {Object} message - { type, ... }
+ */
+function handleMessage(message) {
+    switch (message.type) {
+        case 'claim': {
+            // Our earlier claim stands - repeat it in case that tab missed it
+            // (e.g. it opened after we claimed) so it backs off
+            const mine = myClaims.get(message.id);
+            if (mine && claimWins(mine, message)) {
+                channel.postMessage(mine);
+                return;
+            }
+            if (!remoteLocks.has(message.id)) {
+                remoteLocks.set(message.id, createRemoteLock(message.id));
+            }
+            break;
+        }
+        case 'release': {
+            const lock = remoteLocks.get(message.id);
+            if (lock) lock.release();
+            break;
+        }
+        default:
+            listeners.forEach(listener => listener(message));
+    }
+}
+
+/**
+ * Track a lock held by another tab
+ *
+ * @param {string} id - Lock id
+ * @returns {Object} - { promise, release }
+ */
+function createRemoteLock(id) {
+    let release;
+    const promise = new Promise(resolve => {
+        release = resolve;
+    });
+
+    // If the holder closes mid-refresh there's no release, so stop waiting eventually
+    const timer = setTimeout(() => release(), LOCK_TIMEOUT);
+
+    promise.then(() => {
+        clearTimeout(timer);
+        remoteLocks.delete(id);
+    });
+
+    return { promise, release };
+}
+
+/**
+ * Run a task while holding a token lock across tabs
+ *
+ * Each id (one per account) has its own lock. Tasks in this tab take turns
+ * on an id; between tabs the lock is claimed on the channel and taken if no
+ * tab with an earlier claim objects within a short window. If another tab
+ * holds it this waits for that tab to finish instead, and the caller should
+ * re-read the tokens.
+ *
+ * @param {string} id - Lock id, e.g. 'account:name'
+ * @param {function(): Promise<*>} task - Work to do under the lock
+ * @returns {Promise<Object>} - { ran: true, result } or { ran: false } if another tab did the work
+ */
+function withTokenLock(id, task) {
+    const previous = localTurns.get(id) || Promise.resolve();
+    const run = previous.then(() => claimAndRun(id, task));
+
+    const turn = run.then(() => {}, () => {});
+    localTurns.set(id, turn);
+    turn.then(() => {
+        if (localTurns.get(id) === turn) localTurns.delete(id);
+    });
+
+    return run;
+}
+
+/**
+ * Claim a lock across tabs and run a task if this tab gets it
+ *
+ * @param {string} id - Lock id
+ * @param {function(): Promise<*>} task - Work to do under the lock
+ * @returns {Promise<Object>} - { ran: true, result } or { ran: false }
+ */
+async function claimAndRun(id, task) {
+    const bus = getChannel();
+
+    if (bus) {
+        if (remoteLocks.has(id)) {
+            await remoteLocks.get(id).promise;
+            return { ran: false };
+        }
+
+        const claim = { type: 'claim', id, at: Date.now(), tab: TAB_ID };
+        myClaims.set(id, claim);
+        bus.postMessage(claim);
+        await new Promise(resolve => setTimeout(resolve, CLAIM_WINDOW));
+
+        if (remoteLocks.has(id)) {
+            myClaims.delete(id);
+            await remoteLocks.get(id).promise;
+            return { ran: false };
+        }
+    }
+
+    try {
+        return { ran: true, result: await task() };
+    } finally {
+        myClaims.delete(id);
+        if (bus) bus.postMessage({ type: 'release', id });
+    }
+}
+
+/**
+ * Tell other tabs that the tokens changed
+ *
+ * @param {string} type - What happened, e.g. 'login', 'refresh', 'switch' or 'logout'
+ */
+function broadcastTokenChange(type) {
+    const bus = getChannel();
+    if (bus) bus.postMessage({ type });
+}
+
+/**
+ * Listen for token changes made in other tabs
+ *
+ * @param {function(Object)} listener - Called with the message ({ type })
+ */
+function onTokenChange(listener) {
+    getChannel();
+    listeners.add(listener);
+}
+
+export {
+    loadTokens,
+    saveTokens,
+    clearTokens,
+    withTokenLock,
+    broadcastTokenChange,
+    onTokenChange
+};
\ No newline at end of file
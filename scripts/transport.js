@@ -0,0 +1,365 @@
+/**
+ * transport.js - CORS proxy transport with failover and a direct OAuth mode
+ *
+ * Reddit's public JSON endpoints don't send CORS headers, so anonymous
+ * requests are routed through one of several user-configurable proxies.
+ * Logged-in users can instead talk to oauth.reddit.com directly.
+ */
+import { saveTransportSettings, loadTransportSettings } from './storage.js';
+
+// Configuration
+const DEFAULT_PROXIES = [
+    'https://corsproxy.io/?{url}',
+    'https://api.allorigins.win/raw?url={url}',
+    'https://api.codetabs.com/v1/proxy?quest={url}'
+];
+const DEFAULT_TIMEOUT = 10000; // 10 seconds per attempt
+const FAILURES_BEFORE_COOLDOWN = 2;
+const PROXY_COOLDOWN = 60 * 1000; // Skip a failing proxy for one minute
+const OAUTH_BASE_URL = 'https://oauth.reddit.com';
+
+// Per-proxy health stats, keyed by template
+const proxyHealth = new Map();
+
+// Supplies the current access token for direct mode (registered by auth.js)
+let tokenProvider = null;
+
+/**
+ * Get the current transport settings
+ *
+ * @returns {Object} - Settings with mode ('proxy' or 'direct') and proxy templates
+ */
+function getTransportSettings() {
+    const settings = loadTransportSettings({ mode: 'proxy', proxies: DEFAULT_PROXIES });
+
+    return {
+        mode: settings.mode === 'direct' ? 'direct' : 'proxy',
+        proxies: Array.isArray(settings.proxies) && settings.proxies.length > 0 ?
+            settings.proxies :
+            [...DEFAULT_PROXIES]
+    };
+}
+
+/**
+ * Update transport settings
+ *
+ * @param {Object} updates - Partial settings ({ mode, proxies })
+ * @returns {Object} - The new settings
+ */
+function updateTransportSettings(updates) {
+    const settings = { ...getTransportSettings(), ...updates };
+
+    // Drop blank lines and duplicates from the proxy list
+    settings.proxies = (settings.proxies || [])
+        .map(template => template.trim())
+        .filter((template, i, all) => template && all.indexOf(template) === i);
+
+    saveTransportSettings(settings);
+    return getTransportSettings();
+}
+
+/**
+ * Register a function returning the access token used in direct mode
+ *
+ * @param {function(): (string|null|Promise<string|null>)} provider - Token provider
+ */
+function setTokenProvider(provider) {
+    tokenProvider = provider;
+}
+
+/**
+ * Build a proxied URL from a template
+ *
+ * @param {string} template - Proxy template, `{url}` is replaced with the encoded target
+ * @param {string} url - Target URL
+ * @returns {string} - Proxied URL
+ */
+function buildProxyUrl(template, url) {
+    const encoded = encodeURIComponent(url);
+    return template.includes('{url}') ? template.replace('{url}', encoded) : `${template}${encoded}`;
+}
+
+/**
+ * Get (and lazily create) the health record for a proxy
+ *
+ * @param {string} template - Proxy template
+ * @returns {Object} - Health record
+ */
+function getHealthRecord(template) {
+    if (!proxyHealth.has(template)) {
+        proxyHealth.set(template, {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            avgLatency: null,
+            lastError: null,
+            lastUsed: null,
+            cooldownUntil: 0
+        });
+    }
+    return proxyHealth.get(template);
+}
+
+/**
+ * Record the outcome of a proxy attempt
+ *
+ * @param {string} template - Proxy template
+ * @param {boolean} ok - Whether the attempt succeeded
+ * @param {number} latency - Request duration in ms
+ * @param {string} errorMessage - Failure reason
+ */
+function recordProxyResult(template, ok, latency, errorMessage = null) {
+    const record = getHealthRecord(template);
+    record.lastUsed = Date.now();
+
+    if (ok) {
+        record.successes++;
+        record.consecutiveFailures = 0;
+        record.cooldownUntil = 0;
+        record.lastError = null;
+        // Exponential moving average keeps the figure responsive
+        record.avgLatency = record.avgLatency === null ?
+            latency :
+            Math.round(record.avgLatency * 0.7 + latency * 0.3);
+    } else {
+        record.failures++;
+        record.consecutiveFailures++;
+        record.lastError = errorMessage;
+
+        if (record.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+            record.cooldownUntil = Date.now() + PROXY_COOLDOWN;
+        }
+    }
+
+    // Let the settings panel refresh its stats
+    document.dispatchEvent(new CustomEvent('transport-health-change'));
+}
+
+/**
+ * Get configured proxies in the order they should be tried
+ *
+ * Healthy proxies keep the user's order; proxies cooling down go last,
+ * soonest-to-recover first, so a request is never refused outright.
+ *
+ * @returns {Array<string>} - Proxy templates
+ */
+function getProxyOrder() {
+    const now = Date.now();
+    const { proxies } = getTransportSettings();
+
+    const healthy = proxies.filter(t => getHealthRecord(t).cooldownUntil <= now);
+    const cooling = proxies
+        .filter(t => getHealthRecord(t).cooldownUntil > now)
+        .sort((a, b) => getHealthRecord(a).cooldownUntil - getHealthRecord(b).cooldownUntil);
+
+    return [...healthy, ...cooling];
+}
+
+/**
+ * Get health stats for every configured proxy
+ *
+ * @returns {Array<Object>} - Stats with template and cooling flag
+ */
+function getProxyHealth() {
+    const now = Date.now();
+    return getTransportSettings().proxies.map(template => ({
+        template,
+        ...getHealthRecord(template),
+        cooling: getHealthRecord(template).cooldownUntil > now
+    }));
+}
+
+/**
+ * Reset all proxy health stats
+ */
+function resetProxyHealth() {
+    proxyHealth.clear();
+    document.dispatchEvent(new CustomEvent('transport-health-change'));
+}
+
+/**
+ * Fetch with a timeout
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options; `signal` lets the caller cancel too
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} - Fetch response
+ */
+async function fetchWithTimeout(url, options = {}, timeout = DEFAULT_TIMEOUT) {
+    const { signal, ...fetchOptions } = options;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+
+    if (signal) {
+        if (signal.aborted) {
+            controller.abort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    }
+
+    try {
+        return await fetch(url, {
+            ...fetchOptions,
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+}
+
+/**
+ * Whether a response means the proxy (rather than Reddit) failed
+ *
+ * @param {Response} response - Fetch response
+ * @returns {boolean} - Should try the next proxy
+ */
+function isProxyFailure(response) {
+    return response.status >= 500 || response.status === 429;
+}
+
+/**
+ * Fetch a URL through the configured proxies, failing over in order
+ *
+ * @param {string} url - Target URL
+ * @param {Object} options - Fetch options plus `timeout` (and an optional abort `signal`)
+ * @returns {Promise<Response>} - Response from the first working proxy
+ */
+async function proxyFetch(url, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, ...fetchOptions } = options;
+
+    // Credentials must never reach a third-party proxy
+    if (fetchOptions.headers && fetchOptions.headers.Authorization) {
+        fetchOptions.headers = { ...fetchOptions.headers };
+        delete fetchOptions.headers.Authorization;
+    }
+
+    const order = getProxyOrder();
+    let lastError = null;
+    let lastResponse = null;
+
+    for (const template of order) {
+        const startTime = Date.now();
+
+        try {
+            const response = await fetchWithTimeout(buildProxyUrl(template, url), fetchOptions, timeout);
+
+            if (isProxyFailure(response)) {
+                recordProxyResult(template, false, Date.now() - startTime, `HTTP ${response.status}`);
+                lastResponse = response;
+                continue;
+            }
+
+            recordProxyResult(template, true, Date.now() - startTime);
+            return response;
+        } catch (error) {
+            // Cancelled by the caller - not the proxy's fault, and no point failing over
+            if (fetchOptions.signal && fetchOptions.signal.aborted) {
+                throw error;
+            }
+
+            const message = error.name === 'AbortError' ? 'Timed out' : error.message;
+            recordProxyResult(template, false, Date.now() - startTime, message);
+            console.warn(`Proxy failed (${template}): ${message}`);
+            lastError = error;
+        }
+    }
+
+    // Every proxy failed - hand back the last real response if there was one
+    if (lastResponse) {
+        return lastResponse;
+    }
+
+    throw lastError || new Error('No CORS proxies configured');
+}
+
+/**
+ * Rewrite a www.reddit.com URL to its oauth.reddit.com equivalent
+ *
+ * @param {string} url - Reddit URL
+ * @returns {string|null} - OAuth URL or null if not a Reddit URL
+ */
+function toOAuthUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/(^|\.)reddit\.com$/.test(parsed.hostname)) {
+            return null;
+        }
+        return `${OAUTH_BASE_URL}${parsed.pathname}${parsed.search}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the access token to use for a direct request, if direct mode applies
+ *
+ * @returns {Promise<string|null>} - Access token or null
+ */
+async function getDirectToken() {
+    if (getTransportSettings().mode !== 'direct' || !tokenProvider) {
+        return null;
+    }
+
+    try {
+        return (await tokenProvider()) || null;
+    } catch (error) {
+        console.warn('Could not get access token for direct mode:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch a Reddit URL using the configured transport
+ *
+ * In direct mode with a logged-in user the request goes straight to
+ * oauth.reddit.com with the bearer token; otherwise (or if that request
+ * can't be made) it goes through the proxy list.
+ *
+ * @param {string} url - Reddit URL
+ * @param {Object} options - Fetch options plus `timeout`
+ * @returns {Promise<Response>} - Fetch response
+ */
+async function transportFetch(url, options = {}) {
+    const token = await getDirectToken();
+    const oauthUrl = token ? toOAuthUrl(url) : null;
+
+    if (oauthUrl) {
+        const { timeout = DEFAULT_TIMEOUT, ...fetchOptions } = options;
+
+        try {
+            // A request made for a particular account already carries its token
+            return await fetchWithTimeout(oauthUrl, {
+                ...fetchOptions,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    ...(fetchOptions.headers || {})
+                }
+            }, timeout);
+        } catch (error) {
+            if (fetchOptions.signal && fetchOptions.signal.aborted) {
+                throw error;
+            }
+            console.warn('Direct request failed, falling back to proxies:', error);
+        }
+    }
+
+    return proxyFetch(url, options);
+}
+
+export {
+    DEFAULT_PROXIES,
+    getTransportSettings,
+    updateTransportSettings,
+    setTokenProvider,
+    getProxyHealth,
+    resetProxyHealth,
+    buildProxyUrl,
+    fetchWithTimeout,
+    proxyFetch,
+    transportFetch
+};
\ No newline at end of file
@@ -2,6 +2,9 @@
  * ui.js - Enhanced UI components and rendering with better performance
  */
 import { createThumbnailPreview, optimizeVideoMemory } from './video.js';
+import { usesTimeFilter } from './api.js';
+import { shouldBlurVideo } from './providers.js';
+import { getSourceLabel, isMultiSource, getMultiParts } from './sources.js';
 
 /**
  * Show error message with enhanced visibility
@@ -52,6 +55,38 @@ function hideLoading() {
     document.getElementById('loading-spinner').style.display = 'none';
 }
 
+/**
+ * Show the "API cooling down" notice while the request scheduler is paused
+ * 
+ * Counts down until the scheduler dispatches 'api-resume'.
+ */
+function initApiStatus() {
+    const statusDiv = document.getElementById('api-status');
+    if (!statusDiv) return;
+    
+    let countdownTimer = null;
+    
+    document.addEventListener('api-cooldown', (e) => {
+        const { until } = e.detail;
+        
+        const update = () => {
+            const seconds = Math.max(Math.ceil((until - Date.now()) / 1000), 0);
+            statusDiv.textContent = `API cooling down, resuming in ${seconds}s`;
+        };
+        
+        clearInterval(countdownTimer);
+        update();
+        countdownTimer = setInterval(update, 1000);
+        statusDiv.style.display = 'block';
+    });
+    
+    document.addEventListener('api-resume', () => {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+        statusDiv.style.display = 'none';
+    });
+}
+
 /**
  * Create a video card element with enhanced layout and accessibility
  * 
@@ -102,24 +137,41 @@ function createVideoCard(video, index, onClickFavorite, onClickCard, isFavorite)
     container.appendChild(playIcon);
     container.appendChild(favButton);
     
+    const badges = createMediaBadges(video);
+    if (badges) {
+        container.appendChild(badges);
+    }
+    
+    applyContentWarning(container, video);
+    
     const metadata = document.createElement('div');
     metadata.className = 'metadata';
     
     // Add comment count and better formatting
-    const formattedUpvotes = formatCount(video.upvotes);
     const formattedComments = video.comments ? formatCount(video.comments) : '';
-    const authorDisplay = video.author ? `by ${video.author}` : '';
     
     metadata.innerHTML = `
         <div class="title">${video.title}</div>
         <div class="details">
             <span>r/${video.subreddit}</span>
-            <span>↑ ${formattedUpvotes}</span>
+            <span class="author"></span>
+            <span class="score"></span>
             ${video.comments ? `<span>💬 ${formattedComments}</span>` : ''}
             <span>${video.created}</span>
         </div>
+        <div class="also-in"></div>
     `;
     
+    renderDuplicateInfo(metadata, video);
+    
+    const authorLink = createAuthorLink(video.author);
+    const authorSlot = metadata.querySelector('.author');
+    if (authorLink) {
+        authorSlot.appendChild(authorLink);
+    } else {
+        authorSlot.remove();
+    }
+    
     // Set up a11y keyboard handling
     card.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
@@ -159,6 +211,213 @@ function formatCount(count) {
     return num.toString();
 }
 
+/**
+ * Create a link that opens an author's profile as a feed
+ * 
+ * Dispatches 'open-user-feed' on document with `detail.name`; the link's
+ * href still points at the profile on Reddit for modified clicks.
+ * 
+ * @param {string} author - Reddit username
+ * @returns {HTMLElement|null} Link, or null for deleted accounts
+ */
+function createAuthorLink(author) {
+    if (!author || author === '[deleted]') return null;
+    
+    const link = document.createElement('a');
+    link.className = 'author-link';
+    link.href = `https://www.reddit.com/user/${encodeURIComponent(author)}`;
+    link.textContent = `u/${author}`;
+    link.title = `More videos from u/${author}`;
+    
+    link.addEventListener('click', (e) => {
+        e.stopPropagation(); // Don't open the card
+        
+        // Let modified clicks open Reddit in a new tab
+        if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+        
+        e.preventDefault();
+        document.dispatchEvent(new CustomEvent('open-user-feed', { detail: { name: author } }));
+    });
+    link.addEventListener('keydown', (e) => e.stopPropagation());
+    
+    return link;
+}
+
+/**
+ * Wrap search terms found in an element's text in <mark> elements
+ * 
+ * Only text nodes are touched, so markup and listeners inside survive.
+ * 
+ * @param {HTMLElement} element - Element to highlight in
+ * @param {Array<string>} terms - Terms to highlight, matched case-insensitively
+ */
+function highlightTerms(element, terms) {
+    if (!element || !terms || terms.length === 0) return;
+    
+    // Longest first so "cat video" wins over "cat"
+    const pattern = new RegExp(
+        [...terms]
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'),
+        'gi'
+    );
+    
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) return;
+        
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        
+        text.replace(pattern, (match, offset) => {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+            
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = match;
+            fragment.appendChild(mark);
+            
+            lastIndex = offset + match.length;
+            return match;
+        });
+        
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Fill in a card's score and "also in" line
+ * 
+ * Collapsed duplicates show the combined score of every copy.
+ * 
+ * @param {HTMLElement} metadata - Card metadata element
+ * @param {Object} video - Video data
+ */
+function renderDuplicateInfo(metadata, video) {
+    const score = metadata.querySelector('.score');
+    const alsoIn = metadata.querySelector('.also-in');
+    const copies = video.duplicates ? video.duplicates.length + 1 : 1;
+    
+    if (score) {
+        score.textContent = `↑ ${formatCount(video.combinedScore || video.upvotes)}`;
+        score.title = copies > 1 ? `Combined score of ${copies} posts` : '';
+    }
+    
+    if (alsoIn) {
+        const names = video.alsoIn || [];
+        alsoIn.textContent = names.length > 0 ? `also in ${names.map(name => `r/${name}`).join(', ')}` : '';
+        alsoIn.hidden = names.length === 0;
+    }
+}
+
+/**
+ * Update a rendered card after duplicates were folded into its video
+ * 
+ * @param {Object} video - Updated video data
+ */
+function updateDuplicateInfo(video) {
+    const button = document.querySelector(`.video-card .favorite-button[data-id="${video.id}"]`);
+    const metadata = button && button.closest('.video-card').querySelector('.metadata');
+    
+    if (metadata) {
+        renderDuplicateInfo(metadata, video);
+    }
+}
+
+/**
+ * Format a duration in seconds as m:ss or h:mm:ss
+ * 
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    if (!seconds && seconds !== 0) return '';
+    
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
+/**
+ * Create the duration and "no audio" badges for a video
+ * 
+ * @param {Object} video - Video data
+ * @returns {HTMLElement|null} Badge container, or null if there's nothing to show
+ */
+function createMediaBadges(video) {
+    const showDuration = typeof video.duration === 'number';
+    const showNoAudio = video.hasAudio === false;
+    if (!showDuration && !showNoAudio) return null;
+    
+    const badges = document.createElement('div');
+    badges.className = 'media-badges';
+    
+    if (showNoAudio) {
+        const noAudio = document.createElement('span');
+        noAudio.className = 'media-badge no-audio-badge';
+        noAudio.textContent = '🔇 No audio';
+        noAudio.title = 'This video has no sound';
+        badges.appendChild(noAudio);
+    }
+    
+    if (showDuration) {
+        const duration = document.createElement('span');
+        duration.className = 'media-badge duration-badge';
+        duration.textContent = formatDuration(video.duration);
+        duration.setAttribute('aria-label', `Duration ${formatDuration(video.duration)}`);
+        badges.appendChild(duration);
+    }
+    
+    return badges;
+}
+
+/**
+ * Blur an NSFW or spoiler thumbnail until the user clicks to reveal it
+ * 
+ * @param {HTMLElement} container - Element wrapping the thumbnail
+ * @param {Object} video - Video data
+ */
+function applyContentWarning(container, video) {
+    if (!container || !shouldBlurVideo(video)) return;
+    
+    const label = video.nsfw ? 'NSFW' : 'Spoiler';
+    
+    container.classList.add('content-blurred');
+    
+    const overlay = document.createElement('button');
+    overlay.type = 'button';
+    overlay.className = 'content-warning';
+    overlay.setAttribute('aria-label', `${label} content, click to reveal`);
+    overlay.innerHTML = `
+        <span class="content-warning-label">${label}</span>
+        <span class="content-warning-hint">Click to reveal</span>
+    `;
+    
+    // Reveal only - don't open the video on the same click
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        container.classList.remove('content-blurred');
+        overlay.remove();
+    });
+    overlay.addEventListener('keydown', (e) => e.stopPropagation());
+    
+    container.appendChild(overlay);
+}
+
 /**
  * Render videos to the grid with optimized performance
  * 
@@ -166,8 +425,11 @@ function formatCount(count) {
  * @param {function} onClickFavorite - Callback for clicking favorite
  * @param {function} onClickCard - Callback for clicking the card
  * @param {function} isFavoriteCheck - Function to check if video is favorited
+ * @param {Object} options - Rendering options
+ * @param {Array<string>} options.highlight - Search terms to highlight in new cards' titles
+ * @param {function(Object): HTMLElement} options.createVoteControls - Builds vote buttons shown on card hover
  */
-function renderVideos(videos, onClickFavorite, onClickCard, isFavoriteCheck) {
+function renderVideos(videos, onClickFavorite, onClickCard, isFavoriteCheck, options = {}) {
     const grid = document.getElementById('video-grid');
     
     // Preserve scroll position
@@ -201,13 +463,23 @@ function renderVideos(videos, onClickFavorite, onClickCard, isFavoriteCheck) {
     // Batch DOM operations for better performance
     cardsToCreate.forEach((video, index) => {
         const actualIndex = videos.indexOf(video);
-        fragment.appendChild(createVideoCard(
+        const card = createVideoCard(
             video, 
             actualIndex, 
             onClickFavorite, 
             onClickCard, 
             isFavoriteCheck(video.id)
-        ));
+        );
+        
+        if (options.highlight) {
+            highlightTerms(card.querySelector('.title'), options.highlight);
+        }
+        
+        if (options.createVoteControls) {
+            card.querySelector('.thumbnail-container').appendChild(options.createVoteControls(video));
+        }
+        
+        fragment.appendChild(card);
     });
     
     grid.appendChild(fragment);
@@ -263,14 +535,50 @@ function updateSortButtons(currentSort, showingFavorites) {
         }
     });
     
-    // Show/hide time filter for "top" sort
+    // Only sorts like "top" and "controversial" take a time range
     const timeFilter = document.getElementById('time-select');
-    timeFilter.style.display = currentSort === 'top' ? 'block' : 'none';
+    const usesTime = usesTimeFilter(currentSort) && !showingFavorites;
+    timeFilter.disabled = !usesTime;
     
     // Update filter label for screen readers
-    if (currentSort === 'top') {
-        timeFilter.setAttribute('aria-label', 'Time range for top posts');
-    }
+    timeFilter.setAttribute('aria-label', usesTime ?
+        `Time range for ${currentSort} posts` :
+        'Time range (only used by Top and Controversial)');
+}
+
+/**
+ * Create a small button inside a subreddit tag
+ * 
+ * @param {string} className - Class name
+ * @param {string} text - Button text
+ * @param {string} title - Tooltip
+ * @param {string} ariaLabel - Accessible name
+ * @param {function} onActivate - Called on click, Enter or Space (without toggling the tag)
+ * @returns {HTMLElement} - Button element
+ */
+function createTagButton(className, text, title, ariaLabel, onActivate) {
+    const button = document.createElement('span');
+    button.className = className;
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('role', 'button');
+    button.setAttribute('aria-label', ariaLabel);
+    button.tabIndex = 0;
+    
+    button.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            e.stopPropagation();
+            onActivate();
+        }
+    });
+    
+    button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent tag click
+        onActivate();
+    });
+    
+    return button;
 }
 
 /**
@@ -280,8 +588,17 @@ function updateSortButtons(currentSort, showingFavorites) {
  * @param {Array} activeSubreddits - List of active subreddits
  * @param {function} onToggleSubreddit - Callback for toggling subreddit
  * @param {function} onRemoveSubreddit - Callback for removing subreddit
+ * @param {Object} options - Optional settings
+ * @param {Array} options.subreddits - Subreddit info objects from settings
+ * @param {boolean} options.showWeights - Show balanced-feed weight badges
+ * @param {function} options.onChangeWeight - Callback for changing a subreddit's weight
+ * @param {Array} options.unpinned - Sources shown but not saved (get a follow button)
+ * @param {function} options.onPin - Callback for following an unpinned source
+ * @param {function} options.onExpand - Callback for expanding a multireddit into its subreddits
+ * @param {function} options.isSubscribed - Returns whether the user subscribes to a source (null if unknown)
+ * @param {function} options.onToggleSubscription - Callback for subscribing or unsubscribing
  */
-function renderSubredditTags(userSubreddits, activeSubreddits, onToggleSubreddit, onRemoveSubreddit) {
+function renderSubredditTags(userSubreddits, activeSubreddits, onToggleSubreddit, onRemoveSubreddit, options = {}) {
     const container = document.getElementById('subreddit-tags');
     if (!container) return;
     
@@ -291,8 +608,10 @@ function renderSubredditTags(userSubreddits, activeSubreddits, onToggleSubreddit
     // Get counts for each subreddit if available
     const getSubInfo = (name) => {
         // Look up from any possible settings data
-        if (window.currentSettings && window.currentSettings.subreddits) {
-            const subInfo = window.currentSettings.subreddits.find(s => s.name === name);
+        const subreddits = options.subreddits ||
+            (window.currentSettings && window.currentSettings.subreddits);
+        if (subreddits) {
+            const subInfo = subreddits.find(s => s.name === name);
             return subInfo || { name, subscribers: 0 };
         }
         return { name, subscribers: 0 };
@@ -323,11 +642,13 @@ function renderSubredditTags(userSubreddits, activeSubreddits, onToggleSubreddit
         // Create the name span with subscriber count tooltip
         const nameSpan = document.createElement('span');
         nameSpan.className = 'subreddit-name';
-        nameSpan.textContent = `r/${sub}`;
+        nameSpan.textContent = getSourceLabel(sub);
         
         if (subInfo.subscribers > 0) {
             const formattedCount = formatCount(subInfo.subscribers);
             nameSpan.title = `${formattedCount} subscribers`;
+        } else if (isMultiSource(sub)) {
+            nameSpan.title = `Multireddit by u/${getMultiParts(sub).owner}`;
         }
         
         nameSpan.setAttribute('role', 'button');
@@ -348,12 +669,63 @@ function renderSubredditTags(userSubreddits, activeSubreddits, onToggleSubreddit
         
         tag.appendChild(nameSpan);
         
+        // Subscription toggle for logged-in users
+        const subscribed = options.isSubscribed ? options.isSubscribed(sub) : null;
+        if (subscribed !== null && options.onToggleSubscription) {
+            const subscribeBtn = createTagButton(
+                `subscribe-tag ${subscribed ? 'subscribed' : ''}`,
+                '✓',
+                subscribed ? 'Subscribed on Reddit (click to unsubscribe)' : 'Subscribe on Reddit',
+                `Subscribed to ${getSourceLabel(sub)} on Reddit`,
+                () => options.onToggleSubscription(sub)
+            );
+            subscribeBtn.setAttribute('aria-pressed', subscribed);
+            tag.appendChild(subscribeBtn);
+        }
+        
+        // Weight badge for balanced feeds
+        if (options.showWeights && options.onChangeWeight) {
+            const weight = subInfo.weight || 1;
+            tag.appendChild(createTagButton(
+                `weight-tag ${weight > 1 ? 'boosted' : ''}`,
+                `×${weight}`,
+                'Share of the balanced feed (click to change)',
+                `Weight of ${sub}: ${weight}`,
+                () => options.onChangeWeight(sub)
+            ));
+        }
+        
+        // Multireddits can be swapped for their member subreddits
+        if (isMultiSource(sub) && options.onExpand) {
+            tag.appendChild(createTagButton(
+                'expand-tag',
+                '⤢',
+                'Expand into subreddits',
+                `Expand ${getSourceLabel(sub)} into its subreddits`,
+                () => options.onExpand(sub)
+            ));
+        }
+        
+        // Sources opened from an author link aren't saved until followed
+        if (options.unpinned && options.unpinned.includes(sub) && options.onPin) {
+            tag.classList.add('unpinned');
+            tag.appendChild(createTagButton(
+                'pin-tag',
+                '+',
+                'Follow',
+                `Follow ${getSourceLabel(sub)}`,
+                () => options.onPin(sub)
+            ));
+            fragment.appendChild(tag);
+            return;
+        }
+        
         // Create the remove button
         const removeBtn = document.createElement('span');
         removeBtn.className = 'remove-tag';
         removeBtn.textContent = '×';
         removeBtn.setAttribute('role', 'button');
-        removeBtn.setAttribute('aria-label', `Remove ${sub} subreddit`);
+        removeBtn.setAttribute('aria-label', `Remove ${getSourceLabel(sub)}`);
         removeBtn.tabIndex = 0;
         
         // Add keyboard support
@@ -510,6 +882,7 @@ export {
     showError,
     showLoading,
     hideLoading,
+    initApiStatus,
     renderVideos,
     updateSortButtons,
     renderSubredditTags,
@@ -517,5 +890,11 @@ export {
     updateThemeButton,
     applyTheme,
     showToast,
-    formatCount
+    formatCount,
+    formatDuration,
+    createMediaBadges,
+    applyContentWarning,
+    updateDuplicateInfo,
+    createAuthorLink,
+    highlightTerms
 };
\ No newline at end of file
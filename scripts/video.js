@@ -1,12 +1,14 @@
 /**
  * video.js - Enhanced video handling with improved compatibility
  */
-import { getRedgifsEmbedUrl } from './api.js';
+import { getEmbedUrl, getProviderForUrl } from './providers.js';
+import { createAdaptivePlayer } from './adaptive-player.js';
 
 // Track the current media elements
 let currentVideoIframe = null;
 let currentVideoElement = null;
 let currentAudioElement = null;
+let currentAdaptivePlayer = null;
 
 // Keep track of playing videos to optimize performance
 const activeVideoTrackers = new Set();
@@ -28,74 +30,14 @@ function createVideoIframe(url, isMuted) {
             urlString = 'https://' + urlString;
         }
         
-        // For iOS Safari compatibility, use try/catch for each URL operation
+        // Let the matching media provider build its embed URL
         try {
-            videoUrl = new URL(urlString);
+            videoUrl = getEmbedUrl(urlString, isMuted);
         } catch (e) {
-            console.error("URL parsing error:", e);
-            // Fallback to string handling
+            console.error("Embed URL error:", e);
             videoUrl = urlString;
         }
         
-        // Handle different video services
-        if (urlString.includes('youtube.com') || urlString.includes('youtu.be')) {
-            // Extract videoId more robustly
-            let videoId = null;
-            
-            if (urlString.includes('youtu.be')) {
-                try {
-                    // youtu.be/VIDEO_ID format
-                    const pathParts = urlString.split('/').filter(p => p);
-                    const lastPart = pathParts[pathParts.length - 1];
-                    videoId = lastPart.split('?')[0]; // Remove any query params
-                } catch (e) {
-                    console.error("YouTube URL parsing error:", e);
-                }
-            } else if (urlString.includes('youtube.com')) {
-                try {
-                    // youtube.com/watch?v=VIDEO_ID format
-                    const match = urlString.match(/[?&]v=([^&#]*)/);
-                    videoId = match && match[1];
-                    
-                    // Handle youtube.com/embed/VIDEO_ID format
-                    if (!videoId && urlString.includes('/embed/')) {
-                        const embedMatch = urlString.match(/\/embed\/([^/?#]+)/);
-                        videoId = embedMatch && embedMatch[1];
-                    }
-                } catch (e) {
-                    console.error("YouTube URL parsing error:", e);
-                }
-            }
-            
-            if (videoId) {
-                videoUrl = `https://www.youtube.com/embed/${videoId}?autoplay=1&mute=${isMuted ? '1' : '0'}&playsinline=1&rel=0`;
-            } else {
-                // Fallback if we can't parse the ID
-                videoUrl = urlString;
-            }
-        } else if (urlString.includes('redgifs.com')) {
-            try {
-                // RedGifs handling - pass the current mute state
-                videoUrl = getRedgifsEmbedUrl(urlString, isMuted);
-            } catch (e) {
-                console.error("RedGifs URL parsing error:", e);
-                videoUrl = urlString;
-            }
-        } else if (urlString.includes('gfycat.com')) {
-            // Convert gfycat URLs to their embedded version
-            try {
-                const gfycatId = urlString.split('/').pop().split('-')[0];
-                if (gfycatId) {
-                    videoUrl = `https://gfycat.com/ifr/${gfycatId}?autoplay=1&muted=${isMuted ? '1' : '0'}`;
-                } else {
-                    videoUrl = urlString;
-                }
-            } catch (e) {
-                console.error("Gfycat URL parsing error:", e);
-                videoUrl = urlString;
-            }
-        }
-        
         const iframe = document.createElement('iframe');
         iframe.className = 'lightbox-iframe';
         
@@ -138,13 +80,20 @@ function createVideoIframe(url, isMuted) {
 /**
  * Create a native video element for Reddit videos with improved iOS compatibility
  * 
+ * Plays the HLS/DASH manifests when the browser can (audio and video in one
+ * stream), otherwise the MP4 fallback with a separate audio element.
+ * 
  * @param {string} videoUrl - Video URL
  * @param {string} audioUrl - Audio URL
  * @param {boolean} isMuted - Whether the video should be muted
  * @param {HTMLElement} container - Container element
+ * @param {Object} options - Extra sources and metadata
+ * @param {string} options.hlsUrl - HLS manifest
+ * @param {string} options.dashUrl - DASH manifest
+ * @param {string} options.permalink - Reddit permalink for the error message
  * @returns {HTMLVideoElement} - The video element
  */
-function createRedditVideo(videoUrl, audioUrl, isMuted, container) {
+function createRedditVideo(videoUrl, audioUrl, isMuted, container, options = {}) {
     // Create video element
     const video = document.createElement('video');
     video.className = 'lightbox-video';
@@ -156,32 +105,6 @@ function createRedditVideo(videoUrl, audioUrl, isMuted, container) {
     video.setAttribute('playsinline', '');
     video.preload = 'metadata'; // For faster loading
     
-    // Use srcset for different video qualities if available
-    if (videoUrl && videoUrl.includes('DASH_')) {
-        try {
-            // Extract the base URL and add quality variants
-            const baseUrl = videoUrl.split('DASH_')[0];
-            const qualityMatch = videoUrl.match(/DASH_(\d+)/);
-            const currentQuality = qualityMatch ? parseInt(qualityMatch[1]) : 720;
-            
-            // Add source elements for different qualities
-            const qualities = [1080, 720, 480, 360, 240].filter(q => q <= currentQuality);
-            
-            qualities.forEach(quality => {
-                const source = document.createElement('source');
-                source.src = `${baseUrl}DASH_${quality}.mp4`;
-                source.type = 'video/mp4';
-                video.appendChild(source);
-            });
-        } catch (e) {
-            console.error("Error setting up video quality sources:", e);
-            // Fallback to direct src
-            video.src = videoUrl;
-        }
-    } else {
-        video.src = videoUrl;
-    }
-    
     // Create play button overlay for iOS and other browsers that block autoplay
     const playButton = document.createElement('div');
     playButton.className = 'manual-play-button';
@@ -193,30 +116,126 @@ function createRedditVideo(videoUrl, audioUrl, isMuted, container) {
     spinner.className = 'video-loading-spinner';
     container.appendChild(spinner);
     
-    // Handle audio element with better error recovery
     let audio = null;
-    if (audioUrl) {
-        try {
-            audio = document.createElement('audio');
-            audio.src = audioUrl;
-            audio.autoplay = false;
-            audio.muted = isMuted;
-            audio.preload = 'metadata';
-            container.appendChild(audio);
-            currentAudioElement = audio;
+    let player = null;
+    
+    /**
+     * Play the progressive MP4 with a separate, manually synced audio track
+     * 
+     * @param {number} startTime - Position to resume from (after an adaptive failure)
+     */
+    const startProgressive = (startTime = 0) => {
+        // Clear whatever source the adaptive player attached
+        video.removeAttribute('src');
+        
+        // Use srcset for different video qualities if available
+        if (videoUrl && videoUrl.includes('DASH_')) {
+            try {
+                // Extract the base URL and add quality variants
+                const baseUrl = videoUrl.split('DASH_')[0];
+                const qualityMatch = videoUrl.match(/DASH_(\d+)/);
+                const currentQuality = qualityMatch ? parseInt(qualityMatch[1]) : 720;
+                
+                // Add source elements for different qualities
+                const qualities = [1080, 720, 480, 360, 240].filter(q => q <= currentQuality);
+                
+                qualities.forEach(quality => {
+                    const source = document.createElement('source');
+                    source.src = `${baseUrl}DASH_${quality}.mp4`;
+                    source.type = 'video/mp4';
+                    video.appendChild(source);
+                });
+            } catch (e) {
+                console.error("Error setting up video quality sources:", e);
+                // Fallback to direct src
+                video.src = videoUrl;
+            }
+        } else {
+            video.src = videoUrl;
+        }
+        
+        // Handle audio element with better error recovery
+        if (audioUrl) {
+            try {
+                audio = document.createElement('audio');
+                audio.src = audioUrl;
+                audio.autoplay = false;
+                audio.muted = isMuted;
+                audio.preload = 'metadata';
+                container.appendChild(audio);
+                
+                // Add error handling for audio
+                audio.addEventListener('error', (e) => {
+                    console.warn("Audio load error:", e);
+                    // Continue with video only - don't show error to user
+                });
+            } catch (e) {
+                console.error("Error creating audio element:", e);
+            }
+        }
+        
+        // Improved audio-video sync for cross-browser compatibility
+        if (audio) {
+            // Keep audio in sync with video
+            video.addEventListener('play', () => {
+                audio.currentTime = video.currentTime;
+                audio.play().catch(e => console.warn("Audio sync error:", e));
+            });
             
-            // Add error handling for audio
-            audio.addEventListener('error', (e) => {
-                console.warn("Audio load error:", e);
-                // Continue with video only - don't show error to user
+            video.addEventListener('pause', () => {
+                audio.pause();
+            });
+            
+            // Critical for iOS: sync on timeupdate with debouncing
+            let lastSyncTime = 0;
+            video.addEventListener('timeupdate', () => {
+                // Only sync if difference is significant and not too frequent
+                const now = Date.now();
+                if (now - lastSyncTime > 2000 && Math.abs(video.currentTime - audio.currentTime) > 0.3) {
+                    audio.currentTime = video.currentTime;
+                    lastSyncTime = now;
+                }
+            });
+            
+            video.addEventListener('seeked', () => {
+                audio.currentTime = video.currentTime;
+                if (!video.paused) {
+                    audio.play().catch(e => console.warn("Audio seek error:", e));
+                }
+            });
+            
+            // Handle interruptions
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    // Resync when tab becomes visible again
+                    if (!video.paused) {
+                        audio.currentTime = video.currentTime;
+                        audio.play().catch(e => {});
+                    }
+                } else if (document.visibilityState === 'hidden') {
+                    // Save resources when tab is not visible
+                    if (!video.paused) {
+                        video.pause();
+                        audio.pause();
+                    }
+                }
             });
-        } catch (e) {
-            console.error("Error creating audio element:", e);
         }
-    }
+        
+        if (startTime > 0) {
+            video.addEventListener('loadedmetadata', () => {
+                video.currentTime = startTime;
+            }, { once: true });
+        }
+        
+        video.load();
+        setVideoReferences(null, video, audio);
+    };
     
     // Enhanced error handling with fallback options
+    // (registered before the adaptive player so its own failures are left to it)
     video.addEventListener('error', (e) => {
+        if (player) return;
         console.error("Video load error:", e);
         
         // Try an alternative format if the current one fails
@@ -237,7 +256,7 @@ function createRedditVideo(videoUrl, audioUrl, isMuted, container) {
         errorMsg.className = 'media-error-message';
         errorMsg.innerHTML = `
             <p>Video failed to load.</p>
-            <a href="https://reddit.com${permalink}" target="_blank" rel="noopener noreferrer" class="error-link">
+            <a href="https://reddit.com${options.permalink || ''}" target="_blank" rel="noopener noreferrer" class="error-link">
                 Open on Reddit
             </a>
         `;
@@ -328,52 +347,20 @@ function createRedditVideo(videoUrl, audioUrl, isMuted, container) {
         }
     });
     
-    // Improved audio-video sync for cross-browser compatibility
-    if (audio) {
-        // Keep audio in sync with video
-        video.addEventListener('play', () => {
-            audio.currentTime = video.currentTime;
-            audio.play().catch(e => console.warn("Audio sync error:", e));
-        });
-        
-        video.addEventListener('pause', () => {
-            audio.pause();
-        });
-        
-        // Critical for iOS: sync on timeupdate with debouncing
-        let lastSyncTime = 0;
-        video.addEventListener('timeupdate', () => {
-            // Only sync if difference is significant and not too frequent
-            const now = Date.now();
-            if (now - lastSyncTime > 2000 && Math.abs(video.currentTime - audio.currentTime) > 0.3) {
-                audio.currentTime = video.currentTime;
-                lastSyncTime = now;
-            }
-        });
-        
-        video.addEventListener('seeked', () => {
-            audio.currentTime = video.currentTime;
-            if (!video.paused) {
-                audio.play().catch(e => console.warn("Audio seek error:", e));
-            }
-        });
-        
-        // Handle interruptions
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                // Resync when tab becomes visible again
-                if (!video.paused) {
-                    audio.currentTime = video.currentTime;
-                    audio.play().catch(e => {});
-                }
-            } else if (document.visibilityState === 'hidden') {
-                // Save resources when tab is not visible
-                if (!video.paused) {
-                    video.pause();
-                    audio.pause();
-                }
-            }
-        });
+    // Prefer adaptive playback, dropping back to MP4 if it isn't possible or fails
+    player = createAdaptivePlayer(video, options, {
+        onFallback: (position) => {
+            player = null;
+            currentAdaptivePlayer = null;
+            startProgressive(position);
+        }
+    });
+    
+    if (player) {
+        currentAdaptivePlayer = player;
+        setVideoReferences(null, video, null);
+    } else {
+        startProgressive();
     }
     
     return video;
@@ -389,25 +376,11 @@ function updateMuteState(isMuted) {
         // Handle iframe videos
         if (currentVideoIframe) {
             try {
-                if (currentVideoIframe.src.includes('redgifs.com')) {
-                    // For Redgifs, we need to recreate the iframe with new parameters
-                    const currentSrc = currentVideoIframe.src;
-                    const idMatch = currentSrc.match(/\/ifr\/([^?&]+)/);
-                    const redgifsId = idMatch && idMatch[1];
-                    
-                    if (redgifsId) {
-                        // Create new URL with updated mute parameter
-                        currentVideoIframe.src = `https://www.redgifs.com/ifr/${redgifsId}?autoplay=1&muted=${isMuted ? '1' : '0'}&controls=1`;
-                    }
-                } else if (currentVideoIframe.src.includes('gfycat.com')) {
-                    // Handle Gfycat similarly
-                    const currentSrc = currentVideoIframe.src;
-                    const idMatch = currentSrc.match(/\/ifr\/([^?&]+)/);
-                    const gfycatId = idMatch && idMatch[1];
-                    
-                    if (gfycatId) {
-                        currentVideoIframe.src = `https://gfycat.com/ifr/${gfycatId}?autoplay=1&muted=${isMuted ? '1' : '0'}`;
-                    }
+                const provider = getProviderForUrl(currentVideoIframe.src);
+                
+                if (provider && (provider.id === 'redgifs' || provider.id === 'gfycat')) {
+                    // These players only read the mute flag on load, so rebuild the embed URL
+                    currentVideoIframe.src = provider.getEmbedUrl(currentVideoIframe.src, isMuted);
                 } else {
                     // Handle other iframe types
                     try {
@@ -454,6 +427,11 @@ function updateMuteState(isMuted) {
  * Reset current video references
  */
 function resetVideoReferences() {
+    if (currentAdaptivePlayer) {
+        currentAdaptivePlayer.destroy();
+        currentAdaptivePlayer = null;
+    }
+    
     currentVideoIframe = null;
     currentVideoElement = null;
     currentAudioElement = null;
@@ -492,6 +470,69 @@ function setVideoReferences(iframe, video, audio) {
     currentAudioElement = audio;
 }
 
+/**
+ * Whether the lightbox's current player can be seeked
+ * 
+ * @returns {boolean} - True for native videos and YouTube embeds
+ */
+function canSeekCurrentVideo() {
+    if (currentVideoElement) return true;
+    
+    if (currentVideoIframe) {
+        const provider = getProviderForUrl(currentVideoIframe.src);
+        return Boolean(provider && provider.id === 'youtube');
+    }
+    
+    return false;
+}
+
+/**
+ * Seek the lightbox's current player and keep it playing
+ * 
+ * Native videos are seeked directly, along with the separate audio track
+ * when there is one. YouTube embeds are driven through the IFrame API's
+ * postMessage commands (the embed URL sets enablejsapi=1).
+ * 
+ * @param {number} seconds - Position to seek to
+ * @returns {boolean} - Whether a player was seeked
+ */
+function seekCurrentVideo(seconds) {
+    try {
+        if (currentVideoElement) {
+            const video = currentVideoElement;
+            const target = Number.isFinite(video.duration) ? Math.min(seconds, video.duration) : seconds;
+            
+            video.currentTime = target;
+            if (currentAudioElement) {
+                currentAudioElement.currentTime = target;
+            }
+            
+            if (video.paused) {
+                // The play handler starts the audio track in sync
+                video.play().catch(e => console.warn('Play after seek failed:', e));
+            }
+            return true;
+        }
+        
+        if (currentVideoIframe && canSeekCurrentVideo() && currentVideoIframe.contentWindow) {
+            const send = (func, args = []) => {
+                currentVideoIframe.contentWindow.postMessage(
+                    JSON.stringify({ event: 'command', func, args }),
+                    'https://www.youtube.com'
+                );
+            };
+            
+            send('seekTo', [seconds, true]);
+            send('playVideo');
+            return true;
+        }
+    } catch (e) {
+        console.error('Error seeking video:', e);
+    }
+    
+    return false;
+}
+
 /**
  * Create thumbnail videos for grid items (low power preview)
  * 
@@ -588,5 +629,7 @@ export {
     updateMuteState,
     resetVideoReferences,
     setVideoReferences,
+    canSeekCurrentVideo,
+    seekCurrentVideo,
     optimizeVideoMemory
 };
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * votes.js - Upvoting and downvoting posts as the selected account
+ *
+ * A vote changes the video's `likes` and score straight away and is rolled
+ * back if Reddit rejects it. Votes made offline, or that can't reach Reddit,
+ * are queued in localStorage and sent once the connection is back.
+ *
+ * Recent votes are also remembered per account and laid over incoming
+ * listings, since cached pages predate them. Proxied listings are anonymous,
+ * so they only ever show votes made in this app - existing votes on Reddit
+ * need direct mode.
+ */
+import { fetchRedditApi, isAuthenticated, getActiveAccountName } from './auth.js';
+import { showToast, formatCount, updateDuplicateInfo } from './ui.js';
+
+const QUEUE_KEY = 'vote_queue';
+const HISTORY_KEY = 'vote_history';
+const HISTORY_TIME = 60 * 60 * 1000; // Outlives any cached feed page
+
+// Latest vote per post, so a slow failure can't undo a newer vote
+const latestVotes = new Map();
+let flushing = false;
+
+/**
+ * Get a video's vote as Reddit's direction
+ *
+ * @param {Object} video - Normalized video
+ * @returns {number} - 1, 0 or -1
+ */
+function getVoteDirection(video) {
+    if (video.likes === true) return 1;
+    if (video.likes === false) return -1;
+    return 0;
+}
+
+/**
+ * Set a video's vote and adjust its score to match
+ *
+ * @param {Object} video - Normalized video (changed in place)
+ * @param {number} direction - 1, 0 or -1
+ */
+function setVote(video, direction) {
+    const delta = direction - getVoteDirection(video);
+
+    video.likes = direction === 0 ? null : direction === 1;
+    video.upvotes = (video.upvotes || 0) + delta;
+    if (typeof video.combinedScore === 'number') {
+        video.combinedScore += delta;
+    }
+}
+
+/**
+ * Set a video's vote and score, and update every control showing it
+ *
+ * @param {Object} video - Normalized video (changed in place)
+ * @param {number} direction - 1, 0 or -1
+ */
+function applyVote(video, direction) {
+    setVote(video, direction);
+
+    document.querySelectorAll(`.vote-controls[data-id="${video.id}"]`).forEach(controls => {
+        renderVoteState(controls, video);
+    });
+    updateDuplicateInfo(video);
+}
+
+/**
+ * Vote on a video; voting the same way again clears the vote
+ *
+ * @param {Object} video - Normalized video
+ * @param {number} direction - 1 to upvote, -1 to downvote
+ * @returns {Promise<boolean>} - Whether the vote stands (sent or queued)
+ */
+async function vote(video, direction) {
+    const account = getActiveAccountName();
+    if (!isAuthenticated() || !account) {
+        showToast('Log in to vote', 'info');
+        return false;
+    }
+
+    const previous = getVoteDirection(video);
+    const next = previous === direction ? 0 : direction;
+    const token = {};
+
+    latestVotes.set(video.id, token);
+    applyVote(video, next);
+    recordVote(account, video.id, next);
+
+    try {
+        if (!navigator.onLine) {
+            queueVote(video.id, next, account, previous);
+            showToast('You\'re offline - your vote will be sent when you reconnect', 'info');
+            return true;
+        }
+
+        await sendVote(video.id, next, account);
+        return true;
+    } catch (error) {
+        if (isNetworkError(error)) {
+            queueVote(video.id, next, account, previous);
+            showToast('Couldn\'t reach Reddit - your vote will be sent later', 'info');
+            return true;
+        }
+
+        if (latestVotes.get(video.id) === token) {
+            applyVote(video, previous);
+            recordVote(account, video.id, previous);
+        }
+
+        console.error('Vote failed:', error);
+        showToast(error.status === 403 ? 'Log in again to allow voting' : 'Vote failed', 'error');
+        return false;
+    } finally {
+        if (latestVotes.get(video.id) === token) {
+            latestVotes.delete(video.id);
+        }
+    }
+}
+
+/**
+ * Load recent votes, dropping ones old enough that listings include them
+ *
+ * @returns {Object} - 'account:id' -> { direction, at }
+ */
+function loadVoteHistory() {
+    let history;
+    try {
+        history = JSON.parse(localStorage.getItem(HISTORY_KEY)) || {};
+    } catch (e) {
+        history = {};
+    }
+
+    const cutoff = Date.now() - HISTORY_TIME;
+    Object.keys(history).forEach(key => {
+        if (history[key].at < cutoff) delete history[key];
+    });
+
+    return history;
+}
+
+/**
+ * Remember a vote so listings fetched or cached before it still show it
+ *
+ * @param {string} account - Username that voted
+ * @param {string} id - Post ID
+ * @param {number} direction - 1, 0 or -1
+ */
+function recordVote(account, id, direction) {
+    const history = loadVoteHistory();
+    history[`${account}:${id}`] = { direction, at: Date.now() };
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+}
+
+/**
+ * Show the selected account's recent votes on videos from a listing
+ *
+ * Returns copies, since listings can come straight from the cache and votes
+ * change videos in place.
+ *
+ * @param {Array<Object>} videos - Normalized videos
+ * @returns {Array<Object>} - Copies with recent votes applied
+ */
+function applyRecentVotes(videos) {
+    const account = getActiveAccountName();
+    const history = account ? loadVoteHistory() : {};
+
+    // Queued votes aren't on Reddit yet, however old they are
+    getVoteQueue()
+        .filter(item => item.account === account)
+        .forEach(item => {
+            history[`${account}:${item.id}`] = { direction: item.direction };
+        });
+
+    return videos.map(video => {
+        const copy = { ...video };
+        const recent = history[`${account}:${video.id}`];
+        if (recent && recent.direction !== getVoteDirection(copy)) {
+            setVote(copy, recent.direction);
+        }
+        return copy;
+    });
+}
+
+/**
+ * Send a vote to Reddit
+ *
+ * @param {string} id - Post ID
+ * @param {number} direction - 1, 0 or -1
+ * @param {string} account - Username to vote as
+ * @returns {Promise<void>}
+ */
+async function sendVote(id, direction, account) {
+    await fetchRedditApi('/api/vote', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            id: `t3_${id}`,
+            dir: String(direction)
+        })
+    }, account);
+}
+
+/**
+ * Whether a request failed without any response from Reddit
+ *
+ * @param {Error} error - Error from fetchRedditApi
+ * @returns {boolean} - Worth retrying later
+ */
+function isNetworkError(error) {
+    return !navigator.onLine || error.name === 'TypeError' || error.name === 'AbortError';
+}
+
+/**
+ * Get queued votes
+ *
+ * @returns {Array<Object>} - Votes ({ id, direction, account, previous })
+ */
+function getVoteQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Queue a vote, replacing any earlier vote on the same post by the same account
+ *
+ * @param {string} id - Post ID
+ * @param {number} direction - 1, 0 or -1
+ * @param {string} account - Username to vote as
+ * @param {number} previous - Vote before this one, restored if Reddit rejects it
+ */
+function queueVote(id, direction, account, previous) {
+    const queue = getVoteQueue();
+    const earlier = queue.find(item => item.id === id && item.account === account);
+
+    // Reddit still has the vote from before the first queued one
+    const item = { id, direction, account, previous: earlier ? earlier.previous : previous };
+    localStorage.setItem(QUEUE_KEY, JSON.stringify([...queue.filter(other => other !== earlier), item]));
+}
+
+/**
+ * Undo a queued vote Reddit rejected, in the vote history and on any video showing it
+ *
+ * @param {Object} item - Queued vote ({ id, direction, account, previous })
+ */
+function rollBackQueuedVote({ id, account, previous = 0 }) {
+    recordVote(account, id, previous);
+
+    if (account === getActiveAccountName()) {
+        document.dispatchEvent(new CustomEvent('vote-rejected', {
+            detail: { id, direction: previous }
+        }));
+    }
+}
+
+/**
+ * Send queued votes
+ *
+ * Votes that still can't reach Reddit stay queued; ones Reddit rejects are
+ * dropped and rolled back.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushVoteQueue() {
+    if (flushing || !navigator.onLine) return;
+
+    const queue = getVoteQueue();
+    if (queue.length === 0) return;
+
+    flushing = true;
+
+    try {
+        const remaining = [];
+        const rejected = [];
+
+        for (const item of queue) {
+            try {
+                await sendVote(item.id, item.direction, item.account);
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    remaining.push(item);
+                } else {
+                    console.warn(`Dropped queued vote on ${item.id}:`, error);
+                    rejected.push(item);
+                }
+            }
+        }
+
+        // Keep votes queued while this was running
+        const sent = queue.filter(item => !remaining.includes(item));
+        const current = getVoteQueue().filter(item =>
+            !sent.some(done => done.id === item.id && done.account === item.account && done.direction === item.direction));
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(current));
+
+        // A newer vote on the same post replaces the rejected one rather than being undone
+        const rolledBack = rejected.filter(item => !latestVotes.has(item.id) &&
+            !current.some(newer => newer.id === item.id && newer.account === item.account));
+        rolledBack.forEach(rollBackQueuedVote);
+
+        if (rolledBack.length > 0) {
+            showToast(`Reddit rejected ${rolledBack.length} vote${rolledBack.length === 1 ? '' : 's'} made offline`, 'error');
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+/**
+ * Create upvote and downvote buttons for a video
+ *
+ * @param {Object} video - Normalized video
+ * @param {Object} options - Display options
+ * @param {boolean} options.showScore - Show the score between the buttons
+ * @returns {HTMLElement} - Vote controls
+ */
+function createVoteControls(video, { showScore = false } = {}) {
+    const controls = document.createElement('div');
+    controls.className = 'vote-controls';
+    controls.dataset.id = video.id;
+
+    const createButton = (direction, label, symbol) => {
+        const button = document.createElement('button');
+        button.className = `vote-button ${direction === 1 ? 'vote-up' : 'vote-down'}`;
+        button.textContent = symbol;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't open the card
+            vote(video, direction);
+        });
+        button.addEventListener('keydown', (e) => e.stopPropagation());
+        return button;
+    };
+
+    controls.appendChild(createButton(1, 'Upvote', '▲'));
+
+    if (showScore) {
+        const score = document.createElement('span');
+        score.className = 'vote-score';
+        controls.appendChild(score);
+    }
+
+    controls.appendChild(createButton(-1, 'Downvote', '▼'));
+
+    renderVoteState(controls, video);
+    return controls;
+}
+
+/**
+ * Show a video's vote and score on its controls
+ *
+ * @param {HTMLElement} controls - Vote controls
+ * @param {Object} video - Normalized video
+ */
+function renderVoteState(controls, video) {
+    const direction = getVoteDirection(video);
+
+    const up = controls.querySelector('.vote-up');
+    up.classList.toggle('active', direction === 1);
+    up.setAttribute('aria-pressed', direction === 1);
+
+    const down = controls.querySelector('.vote-down');
+    down.classList.toggle('active', direction === -1);
+    down.setAttribute('aria-pressed', direction === -1);
+
+    controls.classList.toggle('voted', direction !== 0);
+
+    const score = controls.querySelector('.vote-score');
+    if (score) {
+        score.textContent = formatCount(video.combinedScore || video.upvotes);
+    }
+}
+
+/**
+ * Send votes left queued from earlier, and again whenever the connection returns
+ */
+function initVotes() {
+    window.addEventListener('online', flushVoteQueue);
+    flushVoteQueue();
+}
+
+export {
+    vote,
+    applyVote,
+    getVoteDirection,
+    applyRecentVotes,
+    createVoteControls,
+    flushVoteQueue,
+    initVotes
+};
\ No newline at end of file
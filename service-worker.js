@@ -1,7 +1,7 @@
 /**
  * Enhanced Service Worker with better caching and offline support
  */
-const CACHE_NAME = 'reddit-video-gallery-v2';
+const CACHE_NAME = 'reddit-video-gallery-v3'; // Bump whenever a pre-cached file changes
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
 // Assets to pre-cache for offline use
@@ -11,8 +11,30 @@ const STATIC_ASSETS = [
   '/manifest.json',
   '/styles/main.css',
   '/styles/mobile.css',
+  '/styles/layout.css',
+  '/styles/profile.css',
   '/scripts/main.js',
   '/scripts/api.js',
+  '/scripts/providers.js',
+  '/scripts/transport.js',
+  '/scripts/auth.js',
+  '/scripts/profile-ui.js',
+  '/scripts/settings-ui.js',
+  '/scripts/content-manager.js',
+  '/scripts/discovery.js',
+  '/scripts/discovery-ui.js',
+  '/scripts/cache.js',
+  '/scripts/scheduler.js',
+  '/scripts/adaptive-player.js',
+  '/scripts/content-filters.js',
+  '/scripts/dedupe.js',
+  '/scripts/sources.js',
+  '/scripts/autocomplete.js',
+  '/scripts/comments-ui.js',
+  '/scripts/query-parser.js',
+  '/scripts/token-store.js',
+  '/scripts/votes.js',
+  '/scripts/subscriptions.js',
   '/scripts/storage.js',
   '/scripts/ui.js',
   '/scripts/video.js',
@@ -85,6 +107,20 @@ self.addEventListener('activate', event => {
   );
 });
 
+/**
+ * Check if a request is made as a logged-in account
+ * 
+ * The cache is keyed by URL alone, so these responses would be served to
+ * whichever account asks for the same URL next.
+ * 
+ * @param {Request} request - Request to check
+ * @returns {boolean} - Is authenticated request
+ */
+function isAuthenticatedRequest(request) {
+  return new URL(request.url).hostname === 'oauth.reddit.com' ||
+         request.headers.has('authorization');
+}
+
 /**
  * Check if URL is for an API request
  * 
@@ -94,6 +130,8 @@ self.addEventListener('activate', event => {
 function isApiRequest(url) {
   return url.includes('reddit.com') || 
          url.includes('corsproxy.io') || 
+         url.includes('allorigins.win') || 
+         url.includes('codetabs.com') || 
          url.includes('redgifs.com/api');
 }
 
@@ -107,6 +145,21 @@ function isMediaFile(url) {
   return url.match(/\.(mp4|webm|gif|jpe?g|png|svg|webp)$/i) !== null;
 }
 
+/**
+ * Check if a request belongs to adaptive (HLS/DASH) playback
+ * 
+ * Manifests change per session and segments are fetched by byte range,
+ * which the Cache API can't store, so these always go to the network.
+ * 
+ * @param {Request} request - Request to check
+ * @returns {boolean} - Is streaming request
+ */
+function isStreamingRequest(request) {
+  const url = new URL(request.url);
+  return request.headers.has('range') ||
+         /\.(mpd|m3u8|ts|aac|m4s)$/i.test(url.pathname);
+}
+
 /**
  * Add timestamp to cached responses
  * 
@@ -162,6 +215,16 @@ self.addEventListener('fetch', event => {
     return;
   }
   
+  // Let the browser stream video manifests and byte ranges itself
+  if (isStreamingRequest(event.request)) {
+    return;
+  }
+  
+  // Never cache one account's responses where another could be served them
+  if (isAuthenticatedRequest(event.request)) {
+    return;
+  }
+  
   // Handle API requests (network first, fall back to cache)
   if (isApiRequest(url.href)) {
     event.respondWith(